@@ -1,10 +1,51 @@
 const AWS = require('aws-sdk')
 const chalk = require('chalk')
+const { Buffer } = require('buffer')
+const fs = require('fs')
+const path = require('path')
+const process = require('process')
+const readline = require('readline')
 const get = require('lodash.get');
 
 const WRITEAUOTSCALINGPOLICY = 'WriteAutoScalingPolicy';
 const READAUOTSCALINGPOLICY = 'ReadAutoScalingPolicy';
 const TRUE = true;
+const GLOBALTABLEV2VERSION = '2019.11.21';
+const GLOBALTABLEWRITETARGETVALUE = 70;
+const DEFAULTSTACKCONCURRENCY = 3;
+const STACKDEPLOYED = 'DEPLOYED';
+const STACKUNCHANGED = 'UNCHANGED';
+const STACKFAILED = 'FAILED';
+const TEMPLATEBODYLIMIT = 51200;
+const DEPLOYMENTBUCKETRESOURCE = 'ServerlessDeploymentBucket';
+const DEFAULTMANIFESTPATH = '.serverless/global-tables.json';
+const DEFAULTREPLICATIONTIMEOUTMINUTES = 5;
+const CANARYPOLLINTERVAL = 2000;
+const CANARYATTRIBUTE = 'globalTablesCanary';
+const ALARMPERIOD = 60;
+const DEFAULTALARMEVALUATIONPERIODS = 5;
+const REPLICAALARMMETRICS = ['ReplicationLatency', 'PendingReplicationCount'];
+const DEFAULTTIMEOUTMINUTES = 60;
+const DEFAULTMAXRETRIES = 8;
+const POLLMINDELAY = 5000;
+const POLLMAXDELAY = 60000;
+const RETRYMINDELAY = 1000;
+const RETRYMAXDELAY = 30000;
+const THROTTLINGERRORS = [
+  'LimitExceededException',
+  'ProvisionedThroughputExceededException',
+  'RequestLimitExceeded',
+  'Throttling',
+  'ThrottlingException',
+  'TooManyRequestsException'
+];
+const REPLICAPROPERTIES = [
+  'ContributorInsightsSpecification',
+  'DeletionProtectionEnabled',
+  'PointInTimeRecoverySpecification',
+  'TableClass',
+  'Tags'
+];
 
 const STACKCOMPLETESTATUSES = [
   'CREATE_COMPLETE',
@@ -14,6 +55,20 @@ const STACKCOMPLETESTATUSES = [
   'UPDATE_ROLLBACK_FAILED',
   'UPDATE_ROLLBACK_COMPLETE'
 ];
+// properties referring to resources which have to be in us-east-1 whatever the region of the stack:
+// the certificates, Lambda@Edge functions and web ACLs of CloudFront and the certificates of edge-optimized domains
+const REGIONPINNEDPROPERTIES = {
+  'AWS::CloudFront::Distribution': ['DistributionConfig'],
+  'AWS::ApiGateway::DomainName': ['CertificateArn'],
+  'AWS::AppSync::DomainName': ['CertificateArn'],
+  'AWS::Cognito::UserPoolDomain': ['CustomDomainConfig']
+};
+
+let pendingConfirmation = Promise.resolve();
+let pollSettings = {
+  timeout: DEFAULTTIMEOUTMINUTES * 60000,
+  maxRetries: DEFAULTMAXRETRIES
+};
 
 /**
  * Function to add a desired amount of delay/sleep.
@@ -23,149 +78,591 @@ const sleep = function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 };
 
+/**
+ * Sets the overall timeout of the polling loops and the number of retries of the throttled calls.
+ * @param {Object} globalTablesOptions Global table options specified by user
+ */
+const configureRetries = function configureRetries(globalTablesOptions = {}) {
+  pollSettings = {
+    timeout: (globalTablesOptions.timeout || DEFAULTTIMEOUTMINUTES) * 60000,
+    maxRetries: globalTablesOptions.maxRetries === undefined ? DEFAULTMAXRETRIES : globalTablesOptions.maxRetries
+  };
+}
+
+/**
+ * Get the delay before the next attempt: exponential backoff with full jitter, between minDelay and maxDelay.
+ * @param {int} attempt Number of the attempts already made
+ * @param {int} minDelay Minimum delay in milliseconds
+ * @param {int} maxDelay Maximum delay in milliseconds
+ * @returns {int} Delay in milliseconds
+ */
+const getBackoffDelay = function getBackoffDelay(attempt, minDelay, maxDelay) {
+  const cap = Math.min(maxDelay, minDelay * Math.pow(2, attempt));
+  return minDelay + Math.floor(Math.random() * (cap - minDelay));
+}
+
+/**
+ * Calls the check function until it returns a value, with backoff between the calls. Throttled calls are retried
+ * as part of the polling.
+ * @param {Function} check Async function returning undefined while the resource is not ready
+ * @param {string} description Description of what is awaited, used in the timeout error
+ * @param {Function} onWait Optional function called before each wait
+ * @returns {Object} Value returned by the check function
+ */
+const pollUntil = async function pollUntil(check, description, onWait) {
+  const startTime = Date.now();
+  let attempt = 0;
+  while (TRUE) {
+    try {
+      const result = await check();
+      if (result !== undefined) {
+        return result;
+      }
+    } catch (err) {
+      if (!THROTTLINGERRORS.includes(err.code)) {
+        throw err;
+      }
+    }
+    if (Date.now() - startTime >= pollSettings.timeout) {
+      throw new Error(`Timed out after ${pollSettings.timeout / 60000} min waiting for ${description}`);
+    }
+    if (onWait) {
+      onWait();
+    }
+    await module.exports.sleep(getBackoffDelay(attempt++, POLLMINDELAY, POLLMAXDELAY));
+  }
+}
+
+/**
+ * Sends the AWS request and sends it again, with backoff, while it fails with a throttling or limit exceeded error.
+ * @param {Function} request Function returning the AWS request
+ * @returns {Object} AWS response
+ */
+const withRetries = async function withRetries(request) {
+  let attempt = 0;
+  while (TRUE) {
+    try {
+      return await request().promise();
+    } catch (err) {
+      if (!THROTTLINGERRORS.includes(err.code) || attempt >= pollSettings.maxRetries) {
+        throw err;
+      }
+      await module.exports.sleep(getBackoffDelay(attempt++, RETRYMINDELAY, RETRYMAXDELAY));
+    }
+  }
+}
+
+/**
+ * Waits until the table is active.
+ * @param {Object} dynamodb AWS Dynamodb object
+ * @param {string} tableName Dynamodb table name
+ * @returns {Object} Table description
+ */
+const waitForTableActive = async function waitForTableActive(dynamodb, tableName) {
+  return module.exports.pollUntil(async () => {
+    try {
+      const resp = await dynamodb.describeTable({ TableName: tableName }).promise();
+      return resp.Table.TableStatus === 'ACTIVE' ? resp : undefined;
+    } catch (err) {
+      if (err.code === 'ResourceNotFoundException') {
+        return undefined;
+      }
+      throw err;
+    }
+  }, `table ${tableName} to be active`);
+}
+
+/**
+ * Waits until the table is deleted.
+ * @param {Object} dynamodb AWS Dynamodb object
+ * @param {string} tableName Dynamodb table name
+ */
+const waitForTableDeleted = async function waitForTableDeleted(dynamodb, tableName) {
+  await module.exports.pollUntil(async () => {
+    try {
+      await dynamodb.describeTable({ TableName: tableName }).promise();
+      return undefined;
+    } catch (err) {
+      if (err.code === 'ResourceNotFoundException') {
+        return true;
+      }
+      throw err;
+    }
+  }, `table ${tableName} to be deleted`);
+}
+
 /**
  * Check the status of cloudformation stack.
  * @param {Object} cfn AWS Cloudformation bject
  * @param {string} stackName Cloudformation stack name
  * @param {string} region AWS region
  * @param {Object} cli Serverless cli object
+ * @param {Function} onStatus Optional callback receiving the region and stack status, dots are printed when absent
  * @returns {boolean} True if stack is created/updated successfully, else false.
  */
-const checkStackCreateUpdateStatus = async function checkStackCreateUpdateStatus(cfn, stackName, region, cli) {
+const checkStackCreateUpdateStatus = async function checkStackCreateUpdateStatus(cfn, stackName, region, cli, onStatus) {
   cli.consoleLog(`CreateGlobalTable: ${chalk.yellow(`Checking cloudformation stack ${stackName} status in ${region}...`)}`);
-  let status;
   let dotPrinted = false;
-  while (TRUE) {
+  const status = await module.exports.pollUntil(async () => {
     const resp = await cfn.describeStacks({
       StackName: stackName
     }).promise();
-    if (STACKCOMPLETESTATUSES.includes(resp.Stacks[0].StackStatus)) {
-      status = resp.Stacks[0].StackStatus;
-      break;
+    if (onStatus) {
+      onStatus(region, resp.Stacks[0].StackStatus);
     }
-    cli.printDot();
-    dotPrinted = true;
-    await sleep(5000);
-  }
+    return STACKCOMPLETESTATUSES.includes(resp.Stacks[0].StackStatus) ? resp.Stacks[0].StackStatus : undefined;
+  }, `stack ${stackName} in ${region}`, () => {
+    if (!onStatus) {
+      cli.printDot();
+      dotPrinted = true;
+    }
+  });
   if (dotPrinted) {
     cli.consoleLog('\n');
   }
   if (status.includes('ROLLBACK')) {
     cli.consoleLog(`CreateGlobalTable: ${chalk.red(`Failed to create/update the stack ${stackName} in ${region}... \n
     Please check the stack status in console and retry.`)}`);
+    try {
+      const failures = await module.exports.getStackFailureEvents(cfn, stackName);
+      failures.forEach(e => {
+        cli.consoleLog(`CreateGlobalTable: ${chalk.red(`${region} ${e.LogicalResourceId} (${e.ResourceType}) ${e.ResourceStatus}: ${e.ResourceStatusReason}`)}`);
+      });
+    } catch (err) {
+      cli.consoleLog(`CreateGlobalTable: ${chalk.red(`Could not get the stack events of ${stackName} in ${region}: ${err.message}`)}`);
+    }
     return false;
   }
   return true;
 };
 
 /**
- * Invokes cloudformation create or update command.
+ * Get the failed resource events of the last stack operation, in chronological order.
+ * @param {Object} cfn AWS Cloudformation object
+ * @param {string} stackName Cloudformation stack name
+ * @returns {Array} List of the failed stack events
+ */
+const getStackFailureEvents = async function getStackFailureEvents(cfn, stackName) {
+  const failures = [];
+  let nextToken;
+  do {
+    const resp = await module.exports.withRetries(() => cfn.describeStackEvents({ StackName: stackName, NextToken: nextToken }));
+    for (let event of resp.StackEvents) {
+      if (event.ResourceStatus.endsWith('_FAILED')) {
+        failures.unshift(event);
+      }
+      // the events are returned newest first, the operation starts with the user initiated stack event
+      if (event.ResourceType === 'AWS::CloudFormation::Stack' && event.LogicalResourceId === stackName &&
+        event.ResourceStatusReason === 'User Initiated') {
+        return failures;
+      }
+    }
+    nextToken = resp.NextToken;
+  } while (nextToken);
+  return failures;
+};
+
+/**
+ * Asks the user a yes/no question on the terminal. Questions asked at the same time are asked one after another.
+ * @param {string} question Question to ask
+ * @returns {boolean} True if the user answered yes, false if not or if the terminal is not interactive.
+ */
+const confirm = function confirm(question) {
+  pendingConfirmation = pendingConfirmation.then(() => new Promise(resolve => {
+    if (!process.stdin.isTTY) {
+      resolve(false);
+      return;
+    }
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    rl.question(`${question} (y/N) `, answer => {
+      rl.close();
+      resolve(/^y(es)?$/i.test(answer.trim()));
+    });
+  }));
+  return pendingConfirmation;
+}
+
+/**
+ * Get the change set type to use for the stack: CREATE when the stack doesn't exist (or was never created), else UPDATE.
+ * @param {Object} cfn AWS Cloudformation object
+ * @param {string} stackName Cloudformation stack name
+ * @returns {string} Change set type
+ */
+const getChangeSetType = async function getChangeSetType(cfn, stackName) {
+  try {
+    const resp = await module.exports.withRetries(() => cfn.describeStacks({ StackName: stackName }));
+    return resp.Stacks[0].StackStatus === 'REVIEW_IN_PROGRESS' ? 'CREATE' : 'UPDATE';
+  } catch (err) {
+    if (err.code === 'ValidationError' && /does not exist/.test(err.message)) {
+      return 'CREATE';
+    }
+    throw err;
+  }
+}
+
+/**
+ * Get all the resource changes of the change set.
+ * @param {Object} cfn AWS Cloudformation object
+ * @param {string} stackName Cloudformation stack name
+ * @param {string} changeSetName Change set name
+ * @returns {Array} List of resource changes
+ */
+const getChangeSetChanges = async function getChangeSetChanges(cfn, stackName, changeSetName) {
+  const changes = [];
+  let nextToken;
+  do {
+    const resp = await module.exports.withRetries(() => cfn.describeChangeSet({
+      StackName: stackName,
+      ChangeSetName: changeSetName,
+      NextToken: nextToken
+    }));
+    (resp.Changes || []).forEach(c => changes.push(c.ResourceChange));
+    nextToken = resp.NextToken;
+  } while (nextToken);
+  return changes;
+}
+
+/**
+ * Get the resource changes which delete or replace a dynamodb table.
+ * @param {Array} changes List of resource changes
+ * @returns {Array} List of the table changes
+ */
+const getTableReplacements = function getTableReplacements(changes) {
+  return changes.filter(c => ['AWS::DynamoDB::Table', 'AWS::DynamoDB::GlobalTable'].includes(c.ResourceType) &&
+    (c.Action === 'Remove' || ['True', 'Conditional'].includes(c.Replacement)));
+}
+
+/**
+ * Creates or updates the cloudformation stack by using a change set. The resource changes are printed before the
+ * change set is executed.
  * @param {Object} cfn AWS Cloudformation object
  * @param {Object} template Cloudformation template
  * @param {string} stackName Cloudformation stack name
  * @param {string} region AWS region
  * @param {Object} cli Serverless cli object
+ * @param {Function} onStatus Optional callback receiving the region and stack status while waiting for the stack
+ * @param {Object} options Global table options specified by user
+ * @param {Object} deployOptions Optional S3 URL of the uploaded template (templateUrl), used instead of the template body,
+ * and settings of the stack (stackSettings): tags, role, notification ARNs, stack policy and termination protection
+ * @returns {string} STACKDEPLOYED, STACKUNCHANGED if there is nothing to update, or STACKFAILED if the stack rolled back.
  */
-const createUpdateCfnStack = async function createUpdateCfnStack(cfn, template, stackName, region, cli) {
+const createUpdateCfnStack = async function createUpdateCfnStack(
+  cfn, template, stackName, region, cli, onStatus, options = {}, deployOptions = {}
+) {
   cli.consoleLog(`CreateGlobalTable: ${chalk.yellow(`Creating/Updating cloudformation stack ${stackName} in ${region}...`)}`);
-  let update = false;
-  try {
-    const createStackParams = {
+  const changeSetType = await module.exports.getChangeSetType(cfn, stackName);
+  const changeSetName = `global-tables-${Date.now()}`;
+  const changeSetParams = {
+    StackName: stackName,
+    ChangeSetName: changeSetName,
+    ChangeSetType: changeSetType,
+    Capabilities: ['CAPABILITY_IAM', 'CAPABILITY_NAMED_IAM']
+  };
+  if (deployOptions.templateUrl) {
+    changeSetParams.TemplateURL = deployOptions.templateUrl;
+  } else {
+    changeSetParams.TemplateBody = JSON.stringify(template);
+  }
+  const stackSettings = deployOptions.stackSettings || {};
+  const tags = Object.keys(stackSettings.tags || {}).map(key => ({ Key: key, Value: String(stackSettings.tags[key]) }));
+  if (tags.length) {
+    changeSetParams.Tags = tags;
+  }
+  if (stackSettings.roleArn) {
+    changeSetParams.RoleARN = stackSettings.roleArn;
+  }
+  if (stackSettings.notificationArns && stackSettings.notificationArns.length) {
+    changeSetParams.NotificationARNs = stackSettings.notificationArns;
+  }
+  await module.exports.withRetries(() => cfn.createChangeSet(changeSetParams));
+
+  const changeSet = await module.exports.pollUntil(async () => {
+    const resp = await cfn.describeChangeSet({ StackName: stackName, ChangeSetName: changeSetName }).promise();
+    return ['CREATE_COMPLETE', 'FAILED'].includes(resp.Status) ? resp : undefined;
+  }, `change set of stack ${stackName} in ${region}`);
+  if (changeSet.Status === 'FAILED') {
+    const reason = changeSet.StatusReason;
+    if (/didn't contain changes|No updates are to be performed/.test(reason)) {
+      await module.exports.withRetries(() => cfn.deleteChangeSet({ StackName: stackName, ChangeSetName: changeSetName }));
+      cli.consoleLog(`CreateGlobalTable: ${chalk.yellow(`No changes to deploy for cloudformation stack ${stackName} in ${region}`)}`);
+      await module.exports.applyStackProtection(cfn, stackName, stackSettings);
+      return STACKUNCHANGED;
+    }
+    throw new Error(`Change set for stack ${stackName} in ${region} failed: ${reason}`);
+  }
+
+  const changes = await module.exports.getChangeSetChanges(cfn, stackName, changeSetName);
+  const changeLines = changes.map(c => `  ${c.Action} ${c.ResourceType} ${c.LogicalResourceId}` +
+    (c.Replacement && c.Action === 'Modify' ? ` (replacement: ${c.Replacement})` : ''));
+  cli.consoleLog(`CreateGlobalTable: ${chalk.yellow(`Changes for cloudformation stack ${stackName} in ${region}:\n${changeLines.join('\n')}`)}`);
+
+  const tableReplacements = module.exports.getTableReplacements(changes);
+  if (options.confirmTableReplacement && tableReplacements.length) {
+    const tables = tableReplacements.map(c => c.LogicalResourceId).join(', ');
+    const confirmed = await module.exports.confirm(`The stack ${stackName} in ${region} is going to delete or replace the tables ${tables}. Continue?`);
+    if (!confirmed) {
+      await module.exports.withRetries(() => cfn.deleteChangeSet({ StackName: stackName, ChangeSetName: changeSetName }));
+      throw new Error(`Deleting or replacing the tables ${tables} was not confirmed`);
+    }
+  }
+
+  await module.exports.withRetries(() => cfn.executeChangeSet({ StackName: stackName, ChangeSetName: changeSetName }));
+  const stackSuccess = await module.exports.checkStackCreateUpdateStatus(cfn, stackName, region, cli, onStatus);
+  if (stackSuccess) {
+    await module.exports.applyStackProtection(cfn, stackName, stackSettings);
+    cli.consoleLog(`CreateGlobalTable: ${chalk.yellow(`Cloudformation stack ${stackName} successfully created/updated in ${region}...`)}`);
+  }
+  return stackSuccess ? STACKDEPLOYED : STACKFAILED;
+}
+
+/**
+ * Sets the stack policy and the termination protection of the stack, which can't be set by the change set.
+ * @param {Object} cfn AWS Cloudformation object
+ * @param {string} stackName Cloudformation stack name
+ * @param {Object} stackSettings Settings of the stack
+ */
+const applyStackProtection = async function applyStackProtection(cfn, stackName, stackSettings = {}) {
+  if (stackSettings.stackPolicy) {
+    await module.exports.withRetries(() => cfn.setStackPolicy({
       StackName: stackName,
-      TemplateBody: JSON.stringify(template),
-      Capabilities: ['CAPABILITY_IAM', 'CAPABILITY_NAMED_IAM']
-    };
-    await cfn.createStack(createStackParams).promise();
+      StackPolicyBody: JSON.stringify(stackSettings.stackPolicy)
+    }));
+  }
+  if (stackSettings.terminationProtection !== undefined) {
+    await module.exports.withRetries(() => cfn.updateTerminationProtection({
+      StackName: stackName,
+      EnableTerminationProtection: stackSettings.terminationProtection
+    }));
+  }
+}
+
+/**
+ * Get the settings of the deployed stack which are not part of the template: tags, role, notification ARNs,
+ * stack policy and termination protection.
+ * @param {Object} cfn AWS Cloudformation object
+ * @param {string} stackName Cloudformation stack name
+ * @param {Object} cli Serverless cli object
+ * @returns {Object} Stack settings
+ */
+const getStackSettings = async function getStackSettings(cfn, stackName, cli) {
+  const resp = await module.exports.withRetries(() => cfn.describeStacks({ StackName: stackName }));
+  const stack = resp.Stacks[0];
+  let policy = {};
+  try {
+    policy = await module.exports.withRetries(() => cfn.getStackPolicy({ StackName: stackName }));
   } catch (err) {
-    if (err.code === 'AlreadyExistsException') {
-      update = true;
-    } else {
+    if (!['AccessDenied', 'AccessDeniedException'].includes(err.code)) {
       throw err;
     }
+    cli.consoleLog(`CreateGlobalTable: ${chalk.yellow(`Could not read the stack policy of ${stackName}, the regional stacks are deployed without stack policy. Error ${err.message || err}`)}`);
   }
-  if (update) {
+  return {
+    tags: (stack.Tags || []).reduce((tags, tag) => {
+      tags[tag.Key] = tag.Value;
+      return tags;
+    }, {}),
+    roleArn: stack.RoleARN,
+    notificationArns: stack.NotificationARNs || [],
+    stackPolicy: policy.StackPolicyBody ? JSON.parse(policy.StackPolicyBody) : undefined,
+    terminationProtection: stack.EnableTerminationProtection === true
+  };
+}
+
+/**
+ * Get the settings of the stack in the region: the settings of the service stack, with the notification topics of the
+ * region, and the overrides of the region (stackTags, cfnRole, notificationArns, stackPolicy and terminationProtection).
+ * @param {Object} stackSettings Settings of the service stack
+ * @param {string} sourceRegion AWS region in which service is deployed
+ * @param {string} region AWS region of the stack
+ * @param {Object} regionOverrides Map of region to overrides specified by user
+ * @returns {Object} Stack settings
+ */
+const getRegionalStackSettings = function getRegionalStackSettings(stackSettings = {}, sourceRegion, region, regionOverrides = {}) {
+  const overrides = regionOverrides[region] || {};
+  // notification topics need to be in the region of the stack
+  const notificationArns = (stackSettings.notificationArns || []).map(arn => arn.replace(`:${sourceRegion}:`, `:${region}:`));
+  return {
+    tags: Object.assign({}, stackSettings.tags, overrides.stackTags),
+    roleArn: overrides.cfnRole !== undefined ? overrides.cfnRole : stackSettings.roleArn,
+    notificationArns: overrides.notificationArns || notificationArns,
+    stackPolicy: overrides.stackPolicy ? { Statement: overrides.stackPolicy } : stackSettings.stackPolicy,
+    terminationProtection: overrides.terminationProtection !== undefined ?
+      overrides.terminationProtection : stackSettings.terminationProtection
+  };
+}
+
+/**
+ * Check the status of cloudformation stack deletion.
+ * @param {Object} cfn AWS Cloudformation bject
+ * @param {string} stackName Cloudformation stack name
+ * @param {string} region AWS region
+ * @param {Object} cli Serverless cli object
+ * @returns {boolean} True if stack is deleted successfully, else false.
+ */
+const checkStackDeleteStatus = async function checkStackDeleteStatus(cfn, stackName, region, cli) {
+  cli.consoleLog(`CreateGlobalTable: ${chalk.yellow(`Checking cloudformation stack ${stackName} deletion status in ${region}...`)}`);
+  let dotPrinted = false;
+  const status = await module.exports.pollUntil(async () => {
+    let stackStatus;
     try {
-      const updateStackParams = {
-        StackName: stackName,
-        TemplateBody: JSON.stringify(template),
-        Capabilities: ['CAPABILITY_IAM', 'CAPABILITY_NAMED_IAM']
-      };
-      await cfn.updateStack(updateStackParams).promise();
+      const resp = await cfn.describeStacks({
+        StackName: stackName
+      }).promise();
+      stackStatus = resp.Stacks[0].StackStatus;
     } catch (err) {
-      if (err.code !== 'ValidationError') {
+      if (err.code === 'ValidationError' && /does not exist/.test(err.message)) {
+        stackStatus = 'DELETE_COMPLETE';
+      } else {
         throw err;
       }
     }
+    return ['DELETE_COMPLETE', 'DELETE_FAILED'].includes(stackStatus) ? stackStatus : undefined;
+  }, `deletion of stack ${stackName} in ${region}`, () => {
+    cli.printDot();
+    dotPrinted = true;
+  });
+  if (dotPrinted) {
+    cli.consoleLog('\n');
+  }
+  if (status === 'DELETE_FAILED') {
+    cli.consoleLog(`CreateGlobalTable: ${chalk.red(`Failed to delete the stack ${stackName} in ${region}... \n
+    Please check the stack status in console and retry.`)}`);
+    return false;
   }
-  const stackSuccess = await module.exports.checkStackCreateUpdateStatus(cfn, stackName, region, cli);
+  return true;
+};
+
+/**
+ * Deletes the cloudformation stack and waits for the deletion to complete.
+ * @param {Object} cfn AWS Cloudformation object
+ * @param {string} stackName Cloudformation stack name
+ * @param {string} region AWS region
+ * @param {Object} cli Serverless cli object
+ */
+const deleteCfnStack = async function deleteCfnStack(cfn, stackName, region, cli) {
+  cli.consoleLog(`CreateGlobalTable: ${chalk.yellow(`Deleting cloudformation stack ${stackName} in ${region}...`)}`);
+  await module.exports.withRetries(() => cfn.deleteStack({ StackName: stackName }));
+  const stackSuccess = await module.exports.checkStackDeleteStatus(cfn, stackName, region, cli);
   if (stackSuccess) {
-    cli.consoleLog(`CreateGlobalTable: ${chalk.yellow(`Cloudformation stack ${stackName} successfully created/updated in ${region}...`)}`);
+    cli.consoleLog(`CreateGlobalTable: ${chalk.yellow(`Cloudformation stack ${stackName} successfully deleted in ${region}...`)}`);
+  }
+}
+
+/**
+ * Get the scalable dimension the scaling policy applies to.
+ * Falls back to the dimension of the default policy names for policies without it.
+ * @param {Object} policy Scaling policy
+ * @returns {string} Scalable dimension
+ */
+const getPolicyScalableDimension = function getPolicyScalableDimension(policy) {
+  if (policy.ScalableDimension) {
+    return policy.ScalableDimension;
+  }
+  if (policy.PolicyName === WRITEAUOTSCALINGPOLICY) {
+    return 'dynamodb:table:WriteCapacityUnits';
+  }
+  if (policy.PolicyName === READAUOTSCALINGPOLICY) {
+    return 'dynamodb:table:ReadCapacityUnits';
+  }
+}
+
+/**
+ * Get the scalable targets and scaling policies of the given dynamodb resources.
+ * @param {Object} appAutoScaling AWS Application AutoScaling object
+ * @param {Array} resourceIds List of resource ids (e.g. table/tableName)
+ * @returns {Object} List of scalable targets and scaling policies.
+ */
+const getScalingSettings = async function getScalingSettings(appAutoScaling, resourceIds) {
+  const scalableTargets = [];
+  const scalingPolicies = [];
+  let nextToken;
+  do {
+    const resp = await module.exports.withRetries(() => appAutoScaling.describeScalableTargets({
+      ServiceNamespace: 'dynamodb',
+      ResourceIds: resourceIds,
+      NextToken: nextToken
+    }));
+    nextToken = resp.NextToken;
+    scalableTargets.push(...(resp.ScalableTargets || []));
+  } while (nextToken)
+  for (const resourceId of resourceIds) {
+    do {
+      const resp = await module.exports.withRetries(() => appAutoScaling.describeScalingPolicies({
+        ServiceNamespace: 'dynamodb',
+        ResourceId: resourceId,
+        NextToken: nextToken
+      }));
+      nextToken = resp.NextToken;
+      scalingPolicies.push(...(resp.ScalingPolicies || []));
+    } while (nextToken)
   }
+  return { scalableTargets, scalingPolicies };
 }
 
 /**
  * Creates new dynamodb table in specified region and if scaling policy is provided
- * attaches the scaling policy to new table.
+ * attaches the scaling policy to new table and its global secondary indexes.
+ * The scalable targets are registered with the minimum and maximum capacity of the source table
+ * scalable targets, or with the table/index provisioned throughput if source scalable target is not provided.
  * @param {Object} appAutoScaling AWS Application AutoScaling object
  * @param {Object} dynamodb AWS Dynamodb object
  * @param {Object} createTableParams Dynamodb create table params
- * @param {Array} scalingPolicies Scaling policies on source dynamodb table
+ * @param {Array} scalingPolicies Scaling policies on source dynamodb table and its indexes
  * @param {string} tableName Dynamodb table name
  * @param {string} region AWS region in which table needs to be created
  * @param {Object} cli Serverless cli object
+ * @param {Array} scalableTargets Scalable targets of source dynamodb table and its indexes
  */
 const createNewTableAndSetScalingPolicy = async function createNewTableAndSetScalingPolicy(
-  appAutoScaling, dynamodb, createTableParams, scalingPolicies=[], tableName, region, cli
+  appAutoScaling, dynamodb, createTableParams, scalingPolicies=[], tableName, region, cli, scalableTargets=[]
 ) {
   cli.consoleLog(`CreateGlobalTable: ${chalk.yellow(`Creating new table ${tableName} in ${region} region...`)}`)
   try {
-    await dynamodb.createTable(createTableParams).promise()
+    await module.exports.withRetries(() => dynamodb.createTable(createTableParams))
     cli.consoleLog(`CreateGlobalTable: ${chalk.yellow(`Created new table ${tableName} in ${region} region...`)}`)
     if (scalingPolicies.length) {
       cli.consoleLog(`CreateGlobalTable: ${chalk.yellow('Adding auto scaling setting')}`);
-      const writePolicy = scalingPolicies.find(p => p.PolicyName === WRITEAUOTSCALINGPOLICY);
-      const readPolicy = scalingPolicies.find(p => p.PolicyName === READAUOTSCALINGPOLICY);
-      if (writePolicy) {
-        const regScalableTargetParams = {
-          ResourceId: `table/${tableName}`,
-          ScalableDimension: `dynamodb:table:WriteCapacityUnits`,
-          ServiceNamespace: 'dynamodb',
-          MinCapacity: createTableParams.ProvisionedThroughput.WriteCapacityUnits,
-          MaxCapacity: createTableParams.ProvisionedThroughput.WriteCapacityUnits
-        };
-        await appAutoScaling.registerScalableTarget(regScalableTargetParams).promise();
-        cli.consoleLog(`CreateGlobalTable: ${chalk.yellow('Registered Write Scalable target')}`);
-        const scalingParam = {
-          PolicyName: WRITEAUOTSCALINGPOLICY,
-          ResourceId: `table/${tableName}`,
-          ScalableDimension: `dynamodb:table:WriteCapacityUnits`,
-          ServiceNamespace: 'dynamodb',
-          PolicyType: 'TargetTrackingScaling',
-          TargetTrackingScalingPolicyConfiguration: { ...writePolicy.TargetTrackingScalingPolicyConfiguration }
-        };
-        await appAutoScaling.putScalingPolicy(scalingParam).promise();
-        cli.consoleLog(`CreateGlobalTable: ${chalk.yellow('Added Write Scaling policy')}`);
-      }
-      if (readPolicy) {
-        const regScalableTargetParams = {
-          ResourceId: `table/${tableName}`,
-          ScalableDimension: `dynamodb:table:ReadCapacityUnits`,
-          ServiceNamespace: 'dynamodb',
-          MinCapacity: createTableParams.ProvisionedThroughput.ReadCapacityUnits,
-          MaxCapacity: createTableParams.ProvisionedThroughput.ReadCapacityUnits
-        };
-        await appAutoScaling.registerScalableTarget(regScalableTargetParams).promise();
-        cli.consoleLog(`CreateGlobalTable: ${chalk.yellow('Registered Read Scalable target')}`);
+      const registeredTargets = [];
+      for (const policy of scalingPolicies) {
+        const scalableDimension = module.exports.getPolicyScalableDimension(policy);
+        if (!scalableDimension) {
+          cli.consoleLog(`CreateGlobalTable: ${chalk.yellow(`Skipping scaling policy ${policy.PolicyName} without scalable dimension`)}`);
+          continue;
+        }
+        const resourceId = policy.ResourceId || `table/${tableName}`;
+        const targetKey = `${resourceId}|${scalableDimension}`;
+        if (!registeredTargets.includes(targetKey)) {
+          const sourceTarget = scalableTargets.find(t => t.ResourceId === resourceId && t.ScalableDimension === scalableDimension);
+          const indexName = resourceId.split('/index/')[1];
+          const index = indexName && (createTableParams.GlobalSecondaryIndexes || []).find(gsi => gsi.IndexName === indexName);
+          const provisionedThroughput = (indexName ? index && index.ProvisionedThroughput : createTableParams.ProvisionedThroughput) || {};
+          const capacityUnits = scalableDimension.endsWith('WriteCapacityUnits') ?
+            provisionedThroughput.WriteCapacityUnits : provisionedThroughput.ReadCapacityUnits;
+          const regScalableTargetParams = {
+            ResourceId: resourceId,
+            ScalableDimension: scalableDimension,
+            ServiceNamespace: 'dynamodb',
+            MinCapacity: sourceTarget ? sourceTarget.MinCapacity : capacityUnits,
+            MaxCapacity: sourceTarget ? sourceTarget.MaxCapacity : capacityUnits
+          };
+          await module.exports.withRetries(() => appAutoScaling.registerScalableTarget(regScalableTargetParams));
+          registeredTargets.push(targetKey);
+          cli.consoleLog(`CreateGlobalTable: ${chalk.yellow(`Registered ${scalableDimension} Scalable target for ${resourceId}`)}`);
+        }
         const scalingParam = {
-          PolicyName: READAUOTSCALINGPOLICY,
-          ResourceId: `table/${tableName}`,
-          ScalableDimension: `dynamodb:table:ReadCapacityUnits`,
+          PolicyName: policy.PolicyName,
+          ResourceId: resourceId,
+          ScalableDimension: scalableDimension,
           ServiceNamespace: 'dynamodb',
-          PolicyType: 'TargetTrackingScaling',
-          TargetTrackingScalingPolicyConfiguration: { ...readPolicy.TargetTrackingScalingPolicyConfiguration }
+          PolicyType: policy.PolicyType || 'TargetTrackingScaling'
         };
-        await appAutoScaling.putScalingPolicy(scalingParam).promise();
-        cli.consoleLog(`CreateGlobalTable: ${chalk.yellow('Added Read Scaling policy')}`);
+        if (scalingParam.PolicyType === 'StepScaling') {
+          scalingParam.StepScalingPolicyConfiguration = { ...policy.StepScalingPolicyConfiguration };
+        } else {
+          scalingParam.TargetTrackingScalingPolicyConfiguration = { ...policy.TargetTrackingScalingPolicyConfiguration };
+        }
+        await module.exports.withRetries(() => appAutoScaling.putScalingPolicy(scalingParam));
+        cli.consoleLog(`CreateGlobalTable: ${chalk.yellow(`Added Scaling policy ${policy.PolicyName}`)}`);
       }
       cli.consoleLog(`CreateGlobalTable: ${chalk.yellow('Auto scaling policy added successfully')}`);
     }
@@ -178,6 +675,162 @@ const createNewTableAndSetScalingPolicy = async function createNewTableAndSetSca
   }
 }
 
+/**
+ * Get the billing mode of dynamodb table.
+ * @param {Object} table Dynamodb table description
+ * @returns {string} PAY_PER_REQUEST or PROVISIONED
+ */
+const getBillingMode = function getBillingMode(table) {
+  const billingModeSummary = table.BillingModeSummary;
+  return billingModeSummary && billingModeSummary.BillingMode === 'PAY_PER_REQUEST' ? 'PAY_PER_REQUEST' : 'PROVISIONED';
+}
+
+/**
+ * Works out the updates needed to make the replica table match the source table: global secondary
+ * indexes removed or added, billing mode, provisioned throughput of table and indexes and stream settings.
+ * Each update is a separate update table call as dynamodb allows only one index to be created or deleted at once.
+ * The capacity of the replica table and indexes managed by auto scaling is left to auto scaling.
+ * @param {Object} sourceTable Source dynamodb table description
+ * @param {Object} replicaTable Replica dynamodb table description
+ * @param {Array} scalableTargets Scalable targets of the replica table and its indexes
+ * @returns {Array} List of dynamodb update table params.
+ */
+const getReplicaTableUpdates = function getReplicaTableUpdates(sourceTable, replicaTable, scalableTargets = []) {
+  const TableName = replicaTable.TableName;
+  const sourceIndexes = sourceTable.GlobalSecondaryIndexes || [];
+  const replicaIndexes = replicaTable.GlobalSecondaryIndexes || [];
+  const billingMode = module.exports.getBillingMode(sourceTable);
+  const billingModeChanged = module.exports.getBillingMode(replicaTable) !== billingMode;
+  const isScaled = (resourceId, capacity) => !billingModeChanged &&
+    scalableTargets.some(t => t.ResourceId === resourceId && t.ScalableDimension.endsWith(`:${capacity}`));
+  const getThroughput = (resourceId, sourcePt = {}, replicaPt = {}) => ({
+    ReadCapacityUnits: isScaled(resourceId, 'ReadCapacityUnits') ? replicaPt.ReadCapacityUnits : sourcePt.ReadCapacityUnits,
+    WriteCapacityUnits: isScaled(resourceId, 'WriteCapacityUnits') ? replicaPt.WriteCapacityUnits : sourcePt.WriteCapacityUnits
+  });
+  const isSameThroughput = (pt1 = {}, pt2 = {}) => pt1.ReadCapacityUnits === pt2.ReadCapacityUnits &&
+    pt1.WriteCapacityUnits === pt2.WriteCapacityUnits;
+  const updates = [];
+
+  replicaIndexes.filter(ri => !sourceIndexes.find(si => si.IndexName === ri.IndexName)).forEach(ri => {
+    updates.push({ TableName, GlobalSecondaryIndexUpdates: [{ Delete: { IndexName: ri.IndexName } }] });
+  });
+
+  if (billingMode === 'PAY_PER_REQUEST') {
+    if (billingModeChanged) {
+      updates.push({ TableName, BillingMode: billingMode });
+    }
+  } else {
+    const params = { TableName };
+    if (billingModeChanged) {
+      params.BillingMode = billingMode;
+    }
+    const tableThroughput = getThroughput(`table/${TableName}`, sourceTable.ProvisionedThroughput, replicaTable.ProvisionedThroughput);
+    if (billingModeChanged || !isSameThroughput(tableThroughput, replicaTable.ProvisionedThroughput)) {
+      params.ProvisionedThroughput = tableThroughput;
+    }
+    const indexUpdates = [];
+    sourceIndexes.forEach(si => {
+      const ri = replicaIndexes.find(i => i.IndexName === si.IndexName);
+      if (!ri) {
+        return;
+      }
+      const indexThroughput = getThroughput(`table/${TableName}/index/${si.IndexName}`, si.ProvisionedThroughput, ri.ProvisionedThroughput);
+      if (billingModeChanged || !isSameThroughput(indexThroughput, ri.ProvisionedThroughput)) {
+        indexUpdates.push({ Update: { IndexName: si.IndexName, ProvisionedThroughput: indexThroughput } });
+      }
+    });
+    if (indexUpdates.length) {
+      params.GlobalSecondaryIndexUpdates = indexUpdates;
+    }
+    if (Object.keys(params).length > 1) {
+      updates.push(params);
+    }
+  }
+
+  sourceIndexes.filter(si => !replicaIndexes.find(ri => ri.IndexName === si.IndexName)).forEach(si => {
+    const create = { IndexName: si.IndexName, KeySchema: si.KeySchema, Projection: si.Projection };
+    if (billingMode === 'PROVISIONED') {
+      create.ProvisionedThroughput = {
+        ReadCapacityUnits: si.ProvisionedThroughput.ReadCapacityUnits,
+        WriteCapacityUnits: si.ProvisionedThroughput.WriteCapacityUnits
+      };
+    }
+    updates.push({
+      TableName,
+      AttributeDefinitions: sourceTable.AttributeDefinitions,
+      GlobalSecondaryIndexUpdates: [{ Create: create }]
+    });
+  });
+
+  const sourceStream = sourceTable.StreamSpecification;
+  const streamViewType = sourceStream && sourceStream.StreamEnabled ? sourceStream.StreamViewType : 'NEW_AND_OLD_IMAGES';
+  const replicaStream = replicaTable.StreamSpecification;
+  if (!replicaStream || !replicaStream.StreamEnabled) {
+    updates.push({ TableName, StreamSpecification: { StreamEnabled: true, StreamViewType: streamViewType } });
+  } else if (replicaStream.StreamViewType !== streamViewType) {
+    // stream view type can't be changed, the stream needs to be disabled and enabled again
+    updates.push({ TableName, StreamSpecification: { StreamEnabled: false } });
+    updates.push({ TableName, StreamSpecification: { StreamEnabled: true, StreamViewType: streamViewType } });
+  }
+  return updates;
+}
+
+/**
+ * Waits until the table and all its global secondary indexes are active.
+ * @param {Object} dynamodb AWS Dynamodb object
+ * @param {string} tableName Dynamodb table name
+ */
+const waitForTableAndIndexesActive = async function waitForTableAndIndexesActive(dynamodb, tableName) {
+  await module.exports.pollUntil(async () => {
+    const resp = await dynamodb.describeTable({ TableName: tableName }).promise();
+    const indexes = resp.Table.GlobalSecondaryIndexes || [];
+    return resp.Table.TableStatus === 'ACTIVE' && indexes.every(gsi => gsi.IndexStatus === 'ACTIVE') ? resp : undefined;
+  }, `table ${tableName} and its indexes to be active`);
+}
+
+/**
+ * Describes the replica table and its scalable targets and works out the updates needed to make it match the source table.
+ * @param {Object} dynamodb AWS Dynamodb object of the replica region
+ * @param {Object} appAutoScaling AWS Application AutoScaling object of the replica region
+ * @param {Object} sourceTable Source dynamodb table description
+ * @returns {Array} List of dynamodb update table params.
+ */
+const getReplicaSyncUpdates = async function getReplicaSyncUpdates(dynamodb, appAutoScaling, sourceTable) {
+  const tableName = sourceTable.TableName;
+  const replicaTable = await module.exports.withRetries(() => dynamodb.describeTable({ TableName: tableName }));
+  let scalableTargets = [];
+  if (appAutoScaling) {
+    const resourceIds = [`table/${tableName}`].concat(
+      (replicaTable.Table.GlobalSecondaryIndexes || []).map(gsi => `table/${tableName}/index/${gsi.IndexName}`)
+    );
+    scalableTargets = (await module.exports.getScalingSettings(appAutoScaling, resourceIds)).scalableTargets;
+  }
+  return module.exports.getReplicaTableUpdates(sourceTable, replicaTable.Table, scalableTargets);
+}
+
+/**
+ * Applies the changes made to the source table config to the replica table.
+ * @param {Object} dynamodb AWS Dynamodb object of the replica region
+ * @param {Object} sourceTable Source dynamodb table description
+ * @param {string} region AWS region of the replica table
+ * @param {Object} cli Serverless cli object
+ * @param {Object} appAutoScaling AWS Application AutoScaling object of the replica region
+ */
+const syncReplicaTable = async function syncReplicaTable(dynamodb, sourceTable, region, cli, appAutoScaling) {
+  const tableName = sourceTable.TableName;
+  const updates = await module.exports.getReplicaSyncUpdates(dynamodb, appAutoScaling, sourceTable);
+  if (!updates.length) {
+    return;
+  }
+  cli.consoleLog(`CreateGlobalTable: ${chalk.yellow(`Updating table ${tableName} in ${region} region to match the source table...`)}`)
+  for (const params of updates) {
+    await module.exports.waitForTableAndIndexesActive(dynamodb, tableName);
+    await module.exports.withRetries(() => dynamodb.updateTable(params));
+  }
+  await module.exports.waitForTableAndIndexesActive(dynamodb, tableName);
+  cli.consoleLog(`CreateGlobalTable: ${chalk.yellow(`Updated table ${tableName} in ${region} region...`)}`)
+}
+
 /**
  * Checks if the global table alreday exists in certain regions.
  * @param {Object} dynamodb AWS Dynamodb object
@@ -186,8 +839,8 @@ const createNewTableAndSetScalingPolicy = async function createNewTableAndSetSca
  * @param {string} tableName Dynamodb table name
  * @param {string} version It's version of global table needs to be setup
  * @param {Object} cli Serverless cli object
- * @returns {Object} List of regions in which gloabl table needs to be created and flag indicating
- * if some global table setup already exists.
+ * @returns {Object} List of regions in which gloabl table needs to be created, flag indicating
+ * if some global table setup already exists and list of replica regions which are not specified anymore.
  */
 const getRegionsToCreateGlobalTablesIn = async function getRegionsToCreateGlobalTablesIn(
   dynamodb, region, newRegions, tableName, version, cli
@@ -196,28 +849,29 @@ const getRegionsToCreateGlobalTablesIn = async function getRegionsToCreateGlobal
     let regionsGlobalTableExists = [];
     let missingRegions = []
     if (version === 'v2') {
-      let resp = await dynamodb.describeTable({ TableName: tableName }).promise()
+      let resp = await module.exports.withRetries(() => dynamodb.describeTable({ TableName: tableName }))
       if (resp.Table.Replicas !== undefined) {
         regionsGlobalTableExists = resp.Table.Replicas.map(rg => rg.RegionName);
       }
       missingRegions = newRegions.filter(r => !regionsGlobalTableExists.includes(r));
     } else {
-      let resp = await dynamodb.describeGlobalTable({ GlobalTableName: tableName }).promise()
+      let resp = await module.exports.withRetries(() => dynamodb.describeGlobalTable({ GlobalTableName: tableName }))
       regionsGlobalTableExists = resp.GlobalTableDescription.ReplicationGroup.map(rg => rg.RegionName);
       missingRegions = [region].concat(newRegions).filter(r => !regionsGlobalTableExists.includes(r));
     }
+    const extraRegions = regionsGlobalTableExists.filter(r => r !== region && !newRegions.includes(r));
 
     if (missingRegions.length === 0) {
       cli.consoleLog(`CreateGlobalTable: ${chalk.yellow(`Global table ${tableName} already exists in all the specified regions. Skipping creation...`)}`)
-      return {missingRegions: [], addingNewRegions: false };
+      return {missingRegions: [], addingNewRegions: false, extraRegions };
     }
-    return { missingRegions, addingNewRegions: true };
+    return { missingRegions, addingNewRegions: true, extraRegions };
   } catch (e) {
     if (e.code !== 'GlobalTableNotFoundException') {
       throw e
     }
     cli.consoleLog(`CreateGlobalTable: ${chalk.yellow('Global table doesn\'t exist...')}`)
-    return { missingRegions: newRegions, addingNewRegions: false };
+    return { missingRegions: newRegions, addingNewRegions: false, extraRegions: [] };
   }
 };
 
@@ -233,21 +887,49 @@ const getRegionsToCreateGlobalTablesIn = async function getRegionsToCreateGlobal
  * @param {string} version It's version of global table needs to be setup
  * @param {boolean} createStack flag indicating if the tables were created using cloudformation
  * @param {Object} cli Serverless cli object
+ * @param {Object} options Additional global table options
+ * @param {boolean} options.pruneRegions flag indicating if replicas in regions not specified anymore need to be removed
+ * @param {Object} options.kmsKeys Map of region to KMS key ARN or alias used to encrypt the replica in that region
  */
 const createGlobalTable = async function createGlobalTable(
-  appAutoScaling, dynamodb, creds, region, tableName, newRegions, version, createStack, cli
+  appAutoScaling, dynamodb, creds, region, tableName, newRegions, version, createStack, cli, options = {}
 ) {
 
-  const { missingRegions: regionsToUpdate, addingNewRegions } = await module.exports.getRegionsToCreateGlobalTablesIn(
+  const {
+    missingRegions: regionsToUpdate, addingNewRegions, extraRegions = []
+  } = await module.exports.getRegionsToCreateGlobalTablesIn(
     dynamodb, region, newRegions, tableName, version, cli
   );
-  if (!regionsToUpdate.length) {
+  if (options.pruneRegions && extraRegions.length) {
+    await module.exports.removeGlobalTableReplicas(dynamodb, tableName, extraRegions, version, cli);
+  }
+
+  let tableDef;
+  const existingRegions = newRegions.filter(r => r !== region && !regionsToUpdate.includes(r));
+  if (!createStack && version !== 'v2' && existingRegions.length) {
+    tableDef = await module.exports.withRetries(() => dynamodb.describeTable({ TableName: tableName }))
+    await Promise.all(existingRegions.map(r => {
+      const ddb = new AWS.DynamoDB({
+        credentials: module.exports.getRegionCredentials(creds, r, options.regionSettings),
+        region: r,
+      });
+      const aas = new AWS.ApplicationAutoScaling({
+        credentials: module.exports.getRegionCredentials(creds, r, options.regionSettings),
+        region: r,
+      });
+      return module.exports.syncReplicaTable(ddb, tableDef.Table, r, cli, aas);
+    }));
+  }
+
+  if (!regionsToUpdate.length) {
     cli.consoleLog(`CreateGlobalTable: ${chalk.yellow(`Global table setup already in place.`)}`);
     return;
   }
 
   if (!createStack && version !== 'v2') {
-    const tableDef = await dynamodb.describeTable({ TableName: tableName }).promise()
+    if (!tableDef) {
+      tableDef = await module.exports.withRetries(() => dynamodb.describeTable({ TableName: tableName }))
+    }
     const { ReadCapacityUnits, WriteCapacityUnits } = tableDef.Table.ProvisionedThroughput
     const { GlobalSecondaryIndexes, LocalSecondaryIndexes } = tableDef.Table;
     const globalSecondaryIndexes = [];
@@ -290,31 +972,52 @@ const createGlobalTable = async function createGlobalTable(
       createTableParams.ProvisionedThroughput = { ReadCapacityUnits, WriteCapacityUnits }
     }
 
-    const tags = await dynamodb.listTagsOfResource({ ResourceArn: tableDef.Table.TableArn }).promise();
+    const tags = await module.exports.withRetries(() => dynamodb.listTagsOfResource({ ResourceArn: tableDef.Table.TableArn }));
     createTableParams.Tags = tags.Tags;
 
-    const describeScalingPoliciesResp = await appAutoScaling.describeScalingPolicies({
-      ServiceNamespace: 'dynamodb',
-      ResourceId: `table/${tableName}`
-    }).promise();
+    const tableSettings = await module.exports.getTableSettings(dynamodb, tableDef.Table);
+    if (tableSettings.tableClass) {
+      createTableParams.TableClass = tableSettings.tableClass;
+    }
+    if (tableSettings.deletionProtection) {
+      createTableParams.DeletionProtectionEnabled = true;
+    }
 
-    await Promise.all(regionsToUpdate.map(r => {
+    const resourceIds = [`table/${tableName}`].concat(
+      globalSecondaryIndexes.map(gsi => `table/${tableName}/index/${gsi.IndexName}`)
+    );
+    const { scalableTargets, scalingPolicies } = await module.exports.getScalingSettings(appAutoScaling, resourceIds);
+
+    await Promise.all(regionsToUpdate.map(async r => {
       const ddb = new AWS.DynamoDB({
-        credentials: creds,
+        credentials: module.exports.getRegionCredentials(creds, r, options.regionSettings),
         region: r,
       });
       const aas = new AWS.ApplicationAutoScaling({
-        credentials: creds,
+        credentials: module.exports.getRegionCredentials(creds, r, options.regionSettings),
         region: r,
       });
-      return module.exports.createNewTableAndSetScalingPolicy(
-        aas, ddb, createTableParams, describeScalingPoliciesResp.ScalingPolicies, tableName, r, cli
+      const sseSpecification = module.exports.getReplicaSSESpecification(tableDef.Table, r, options.kmsKeys, cli);
+      const regionCreateTableParams = sseSpecification ?
+        Object.assign({}, createTableParams, { SSESpecification: sseSpecification }) : createTableParams;
+      await module.exports.createNewTableAndSetScalingPolicy(
+        aas, ddb, regionCreateTableParams, scalingPolicies, tableName, r, cli, scalableTargets
       );
+      await module.exports.applyReplicaSettings(ddb, tableName, tableSettings, r, version, cli);
     }));
   }
 
   if (version === 'v2') {
-    await module.exports.createGlobalTableV2(dynamodb, tableName, regionsToUpdate, cli);
+    await module.exports.createGlobalTableV2(dynamodb, tableName, regionsToUpdate, cli, options.kmsKeys);
+    const sourceTable = await module.exports.withRetries(() => dynamodb.describeTable({ TableName: tableName }));
+    const tableSettings = await module.exports.getTableSettings(dynamodb, sourceTable.Table);
+    await Promise.all(regionsToUpdate.map(r => {
+      const ddb = new AWS.DynamoDB({
+        credentials: module.exports.getRegionCredentials(creds, r, options.regionSettings),
+        region: r,
+      });
+      return module.exports.applyReplicaSettings(ddb, tableName, tableSettings, r, version, cli);
+    }));
   } else {
     await module.exports.createGlobalTableV1(dynamodb, tableName, region, regionsToUpdate, addingNewRegions, cli);
   }
@@ -331,7 +1034,7 @@ const createGlobalTableV1 = async function createGlobalTableV1(dynamodb, tableNa
       GlobalTableName: tableName,
       ReplicationGroup: replicationGroup,
     }
-    await dynamodb.createGlobalTable(param).promise()
+    await module.exports.withRetries(() => dynamodb.createGlobalTable(param))
   } else {
     const replicaUpdates = [];
     regionsToUpdate.forEach(r => replicaUpdates.push({ Create:{ RegionName: r }}));
@@ -339,12 +1042,12 @@ const createGlobalTableV1 = async function createGlobalTableV1(dynamodb, tableNa
       GlobalTableName: tableName,
       ReplicaUpdates: replicaUpdates,
     }
-    await dynamodb.updateGlobalTable(param).promise();
+    await module.exports.withRetries(() => dynamodb.updateGlobalTable(param));
   }
   cli.consoleLog(`CreateGlobalTable: ${chalk.yellow(`Created global table setup (Version 2017.11.29) for ${tableName}...`)}`)
 }
 
-const createGlobalTableV2 = async function createGlobalTableV2(dynamodb, tableName, regionsToUpdate, cli) {
+const createGlobalTableV2 = async function createGlobalTableV2(dynamodb, tableName, regionsToUpdate, cli, kmsKeys = {}) {
   cli.consoleLog(`CreateGlobalTable: ${chalk.yellow(`Create global table setup (Version 2019.11.21) for ${tableName}...`)}`)
   for (const region of regionsToUpdate) {
     const params = {
@@ -352,133 +1055,2292 @@ const createGlobalTableV2 = async function createGlobalTableV2(dynamodb, tableNa
       ReplicaUpdates: [{ Create:{ RegionName: region }}],
     }
     cli.consoleLog(`CreateGlobalTable: ${chalk.yellow(`Wait for ${tableName} replication available...`)}`)
-    await dynamodb.waitFor('tableExists', {TableName: tableName}).promise(); // it's gonna wait for "Active" status
+    const tableDef = await module.exports.waitForTableActive(dynamodb, tableName);
+    const sseSpecification = tableDef && module.exports.getReplicaSSESpecification(tableDef.Table, region, kmsKeys, cli);
+    if (sseSpecification && sseSpecification.KMSMasterKeyId) {
+      params.ReplicaUpdates[0].Create.KMSMasterKeyId = sseSpecification.KMSMasterKeyId;
+    }
     cli.consoleLog(`CreateGlobalTable: ${chalk.yellow(`Start creating a replica for ${tableName} in ${region}`)}`)
-    await dynamodb.updateTable(params).promise();
-    await dynamodb.waitFor('tableExists', {TableName: tableName}).promise(); // it's gonna wait for "Active" status
+    await module.exports.withRetries(() => dynamodb.updateTable(params));
+    await module.exports.waitForTableActive(dynamodb, tableName);
     cli.consoleLog(`CreateGlobalTable: ${chalk.yellow(`The replica for ${tableName} in ${region} has been created successfully`)}`)
   }
   cli.consoleLog(`CreateGlobalTable: ${chalk.yellow(`The global table setup (Version 2019.11.21) for ${tableName} has been created successfully`)}`)
 }
 
 /**
- * Get the list if dynamodb table names from stack resources.
+ * Get the settings of the source table which are not part of the table definition: point in time recovery,
+ * time to live, deletion protection, table class and contributor insights. The settings which could not be read
+ * are listed in `failures` instead of failing the setup.
+ * @param {Object} dynamodb AWS Dynamodb object
+ * @param {Object} sourceTable Source dynamodb table description
+ * @returns {Object} Table settings
+ */
+const getTableSettings = async function getTableSettings(dynamodb, sourceTable) {
+  const tableName = sourceTable.TableName;
+  const failures = [];
+  const describe = async (setting, request) => {
+    try {
+      return await module.exports.withRetries(request);
+    } catch (err) {
+      failures.push(`${setting} (could not read the source table setting: ${err.message || err})`);
+      return {};
+    }
+  };
+  const backups = await describe('point in time recovery', () => dynamodb.describeContinuousBackups({ TableName: tableName }));
+  const ttl = await describe('time to live', () => dynamodb.describeTimeToLive({ TableName: tableName }));
+  const contributorInsights = await describe('contributor insights', () => dynamodb.describeContributorInsights({ TableName: tableName }));
+  const ttlDescription = ttl.TimeToLiveDescription || {};
+  return {
+    pointInTimeRecovery: get(backups, 'ContinuousBackupsDescription.PointInTimeRecoveryDescription.PointInTimeRecoveryStatus') === 'ENABLED',
+    timeToLiveAttribute: ['ENABLED', 'ENABLING'].includes(ttlDescription.TimeToLiveStatus) ? ttlDescription.AttributeName : undefined,
+    deletionProtection: sourceTable.DeletionProtectionEnabled === true,
+    tableClass: get(sourceTable, 'TableClassSummary.TableClass'),
+    contributorInsights: ['ENABLED', 'ENABLING'].includes(contributorInsights.ContributorInsightsStatus),
+    failures
+  };
+}
+
+/**
+ * Applies the source table settings, which can't be specified while creating the table, to the replica table.
+ * Version 2019.11.21 replicates the time to live setting and version 2017.11.29 replicas are created with deletion
+ * protection, so these are applied only for the other version.
+ * @param {Object} dynamodb AWS Dynamodb object of the replica region
+ * @param {string} tableName Dynamodb table name
+ * @param {Object} tableSettings Source table settings
+ * @param {string} region AWS region of the replica table
+ * @param {string} version It's version of global table
+ * @param {Object} cli Serverless cli object
+ * @returns {Array} List of the settings which could not be applied.
+ */
+const applyReplicaSettings = async function applyReplicaSettings(dynamodb, tableName, tableSettings, region, version, cli) {
+  // the settings which could not be read from the source table are reported along with the ones not applied
+  const failures = (tableSettings.failures || []).slice();
+  const apply = async (setting, params) => {
+    try {
+      await module.exports.withRetries(params);
+    } catch (err) {
+      if (err.code === 'ValidationException' && /already enabled/i.test(err.message)) {
+        return;
+      }
+      failures.push(`${setting} (${err.message || err})`);
+    }
+  };
+  await module.exports.waitForTableActive(dynamodb, tableName);
+  if (tableSettings.pointInTimeRecovery) {
+    await apply('point in time recovery', () => dynamodb.updateContinuousBackups({
+      TableName: tableName,
+      PointInTimeRecoverySpecification: { PointInTimeRecoveryEnabled: true }
+    }));
+  }
+  if (tableSettings.timeToLiveAttribute && version !== 'v2') {
+    await apply('time to live', () => dynamodb.updateTimeToLive({
+      TableName: tableName,
+      TimeToLiveSpecification: { Enabled: true, AttributeName: tableSettings.timeToLiveAttribute }
+    }));
+  }
+  if (tableSettings.deletionProtection && version === 'v2') {
+    await apply('deletion protection', () => dynamodb.updateTable({
+      TableName: tableName,
+      DeletionProtectionEnabled: true
+    }));
+  }
+  if (tableSettings.contributorInsights) {
+    await apply('contributor insights', () => dynamodb.updateContributorInsights({
+      TableName: tableName,
+      ContributorInsightsAction: 'ENABLE'
+    }));
+  }
+  if (failures.length) {
+    cli.consoleLog(`CreateGlobalTable: ${chalk.red(`Could not apply the following settings to ${tableName} in ${region}:\n  ${failures.join('\n  ')}`)}`)
+  }
+  return failures;
+}
+
+/**
+ * Get the server side encryption settings of the replica table, based on the encryption of the source table.
+ * Tables encrypted with KMS key are encrypted with the key specified for the replica region, or with the
+ * AWS managed KMS key if no key is specified for the region.
+ * @param {Object} sourceTable Source dynamodb table description
+ * @param {string} region AWS region of the replica table
+ * @param {Object} kmsKeys Map of region to KMS key ARN or alias
+ * @param {Object} cli Serverless cli object
+ * @returns {Object} Dynamodb SSE specification, undefined if source table is encrypted with AWS owned key.
+ */
+const getReplicaSSESpecification = function getReplicaSSESpecification(sourceTable, region, kmsKeys = {}, cli) {
+  const sseDescription = sourceTable.SSEDescription;
+  if (!sseDescription || sseDescription.SSEType !== 'KMS' || !['ENABLED', 'UPDATING'].includes(sseDescription.Status)) {
+    return;
+  }
+  const sseSpecification = { Enabled: true, SSEType: 'KMS' };
+  if (kmsKeys[region]) {
+    sseSpecification.KMSMasterKeyId = kmsKeys[region];
+  } else {
+    cli.consoleLog(`CreateGlobalTable: ${chalk.yellow(`No KMS key specified for ${region}, the replica of ${sourceTable.TableName} is encrypted with the AWS managed key`)}`)
+  }
+  return sseSpecification;
+}
+
+/**
+ * Removes the replicas of global table from the given regions.
+ * For version 2019.11.21 the replica tables are deleted, for version 2017.11.29 the tables are
+ * only removed from the replication group.
+ * @param {Object} dynamodb AWS Dynamodb object
+ * @param {string} tableName Dynamodb table name
+ * @param {Array} regions List of regions from which replicas need to be removed
+ * @param {string} version It's version of global table
+ * @param {Object} cli Serverless cli object
+ */
+const removeGlobalTableReplicas = async function removeGlobalTableReplicas(dynamodb, tableName, regions, version, cli) {
+  cli.consoleLog(`CreateGlobalTable: ${chalk.red(`Removing replicas of ${tableName} from ${regions.join(', ')} as these regions are not specified anymore...`)}`)
+  if (version === 'v2') {
+    for (const region of regions) {
+      await module.exports.waitForTableActive(dynamodb, tableName);
+      cli.consoleLog(`CreateGlobalTable: ${chalk.red(`Deleting the replica for ${tableName} in ${region}`)}`)
+      await module.exports.withRetries(() => dynamodb.updateTable({
+        TableName: tableName,
+        ReplicaUpdates: [{ Delete: { RegionName: region }}],
+      }));
+      await module.exports.waitForTableActive(dynamodb, tableName);
+      cli.consoleLog(`CreateGlobalTable: ${chalk.yellow(`The replica for ${tableName} in ${region} has been deleted`)}`)
+    }
+    return;
+  }
+  await module.exports.withRetries(() => dynamodb.updateGlobalTable({
+    GlobalTableName: tableName,
+    ReplicaUpdates: regions.map(r => ({ Delete: { RegionName: r }})),
+  }));
+  cli.consoleLog(`CreateGlobalTable: ${chalk.yellow(`Removed ${regions.join(', ')} from global table ${tableName}. The tables in these regions are not deleted.`)}`)
+}
+
+/**
+ * Deletes the replica tables removed from the version 2017.11.29 global table, once they are out of the replication
+ * group, and waits for the deletion to complete.
+ * @param {Object} dynamodb AWS Dynamodb object
+ * @param {Object} creds AWS credentials object
+ * @param {string} region AWS region in which source table exists
+ * @param {string} tableName Dynamodb table name
+ * @param {Array} regions List of regions in which the replica tables need to be deleted
+ * @param {Object} regionSettings Map of region to the credential settings of the region
+ * @param {Object} cli Serverless cli object
+ */
+const deleteReplicaTables = async function deleteReplicaTables(dynamodb, creds, region, tableName, regions, regionSettings, cli) {
+  await module.exports.pollUntil(async () => {
+    const replicas = await module.exports.getGlobalTableReplicas(dynamodb, region, tableName, 'v1');
+    return replicas.some(rp => regions.includes(rp.region)) ? undefined : true;
+  }, `replicas of ${tableName} to be removed from the global table`);
+  for (const r of regions) {
+    const ddb = new AWS.DynamoDB({
+      credentials: module.exports.getRegionCredentials(creds, r, regionSettings),
+      region: r,
+    });
+    cli.consoleLog(`CreateGlobalTable: ${chalk.red(`Deleting the table ${tableName} in ${r}`)}`)
+    try {
+      await module.exports.withRetries(() => ddb.deleteTable({ TableName: tableName }));
+    } catch (err) {
+      if (err.code !== 'ResourceNotFoundException') {
+        throw err;
+      }
+    }
+    await module.exports.waitForTableDeleted(ddb, tableName);
+    cli.consoleLog(`CreateGlobalTable: ${chalk.yellow(`The table ${tableName} in ${r} has been deleted`)}`)
+  }
+}
+
+/**
+ * Get the list of dynamodb tables from stack resources.
  * @param {Object} cfn AWS Cloudformation object
  * @param {string} stackName Cloudformation stack name
- * @returns {Array} List of table names.
+ * @returns {Array} List of tables with their cloudformation logical id and table name.
  */
-const getTableNamesFromStack = async function getTableNamesFromStack(cfn, stackName){
+const getTablesFromStack = async function getTablesFromStack(cfn, stackName){
   let resp;
   let nextToken;
   const tablesInStack = [];
   do {
-    resp = await cfn.listStackResources({ StackName: stackName, NextToken: nextToken }).promise();
+    resp = await module.exports.withRetries(() => cfn.listStackResources({ StackName: stackName, NextToken: nextToken }));
     nextToken = resp.NextToken;
     tablesInStack.push(...resp.StackResourceSummaries.filter(r => r.ResourceType === 'AWS::DynamoDB::Table'));
   } while (nextToken)
-  return tablesInStack.filter(t => t.PhysicalResourceId !== null).map(t => t.PhysicalResourceId);
+  return tablesInStack
+    .filter(t => t.PhysicalResourceId !== null && t.PhysicalResourceId !== undefined)
+    .map(t => ({ logicalId: t.LogicalResourceId, tableName: t.PhysicalResourceId }));
 }
 
 /**
- * The create global table function.
- * This function will:
- * 1. get the list of table names from stack resources.
- * 2. get the custom settings specified by user for setting up global tables.
- * 3. deploy cfn stacks in the regions specified by the user (if createSTack is true)
- * 4. setup the global table relation.
- *
- * @param      {Object}  serverless  The serverless
+ * Get the list if dynamodb table names from stack resources.
+ * @param {Object} cfn AWS Cloudformation object
+ * @param {string} stackName Cloudformation stack name
+ * @returns {Array} List of table names.
  */
-const createGlobalDynamodbTable = async function createGlobalDynamodbTable(serverless) {
+const getTableNamesFromStack = async function getTableNamesFromStack(cfn, stackName){
+  const tables = await module.exports.getTablesFromStack(cfn, stackName);
+  return tables.map(t => t.tableName);
+}
+
+/**
+ * Resolves the global table settings of each table in the stack.
+ * When `tables` is specified in the global table options, only the tables listed there
+ * (by cloudformation logical id or table name) and not switched off are set up, otherwise
+ * every table in the stack is set up using the top level settings.
+ * @param {Array} tables List of tables with their cloudformation logical id and table name
+ * @param {Object} globalTablesOptions Global table options specified by user
+ * @returns {Array} List of tables along with the regions and version of global table to setup.
+ */
+const getTableConfigs = function getTableConfigs(tables, globalTablesOptions) {
+  const tablesOptions = globalTablesOptions.tables;
+  const tableConfigs = [];
+  tables.forEach(table => {
+    let tableOptions = {};
+    if (tablesOptions) {
+      tableOptions = tablesOptions[table.logicalId];
+      if (tableOptions === undefined) {
+        tableOptions = tablesOptions[table.tableName];
+      }
+      if (typeof tableOptions === 'boolean') {
+        tableOptions = { enabled: tableOptions };
+      }
+      if (!tableOptions || tableOptions.enabled === false) {
+        return;
+      }
+    }
+    const regions = tableOptions.regions || globalTablesOptions.regions;
+    if (!regions || !regions.length) {
+      return;
+    }
+    tableConfigs.push({
+      logicalId: table.logicalId,
+      tableName: table.tableName,
+      regions: regions.map(module.exports.getRegionName),
+      version: tableOptions.version || globalTablesOptions.version
+    });
+  });
+  return tableConfigs;
+}
+
+/**
+ * Get the list of all the regions in which global tables need to be setup.
+ * @param {Array} tableConfigs List of tables along with their global table settings
+ * @returns {Array} List of unique regions.
+ */
+const getRegionsFromTableConfigs = function getRegionsFromTableConfigs(tableConfigs) {
+  const regions = [];
+  tableConfigs.forEach(t => t.regions.map(module.exports.getRegionName).forEach(r => {
+    if (!regions.includes(r)) {
+      regions.push(r);
+    }
+  }));
+  return regions;
+}
+
+/**
+ * Get the name of the region entry, which is either the region name or an object with the region name and the
+ * credentials settings of the region.
+ * @param {string|Object} entry Region entry specified by user
+ * @returns {string} Region name
+ */
+const getRegionName = function getRegionName(entry) {
+  return entry && typeof entry === 'object' ? entry.region : entry;
+}
+
+/**
+ * Get the credentials settings (profile, roleArn and externalId) of the regions specified as objects.
+ * @param {Object} globalTablesOptions Global table options specified by user
+ * @returns {Object} Map of region to its credentials settings
+ */
+const getRegionSettings = function getRegionSettings(globalTablesOptions = {}) {
+  const settings = {};
+  const regionLists = [globalTablesOptions.regions || []].concat(
+    Object.values(globalTablesOptions.tables || {}).map(t => (t && t.regions) || [])
+  );
+  regionLists.forEach(regions => regions.forEach(entry => {
+    if (entry && typeof entry === 'object') {
+      settings[entry.region] = Object.assign({}, settings[entry.region], entry);
+    }
+  }));
+  return settings;
+}
+
+/**
+ * Get the credentials to use in the region: the credentials of the profile of the region and/or of the role
+ * assumed through STS, else the given credentials.
+ * @param {Object} credentials AWS credentials of the service
+ * @param {string} region AWS region
+ * @param {Object} regionSettings Map of region to its credentials settings
+ * @returns {Object} AWS credentials
+ */
+const getRegionCredentials = function getRegionCredentials(credentials, region, regionSettings = {}) {
+  const settings = regionSettings[region];
+  if (!settings || (!settings.profile && !settings.roleArn)) {
+    return credentials;
+  }
+  const baseCredentials = settings.profile ? new AWS.SharedIniFileCredentials({ profile: settings.profile }) : credentials;
+  if (!settings.roleArn) {
+    return baseCredentials;
+  }
+  const params = {
+    RoleArn: settings.roleArn,
+    RoleSessionName: 'serverless-global-tables'
+  };
+  if (settings.externalId) {
+    params.ExternalId = settings.externalId;
+  }
+  return new AWS.ChainableTemporaryCredentials({ params, masterCredentials: baseCredentials || undefined });
+}
+
+/**
+ * Collects the service and aws settings used while setting up global tables.
+ * @param {Object} serverless The serverless
+ * @returns {Object} Settings object with credentials, region, stack name, cli and global table options.
+ */
+const getPluginContext = function getPluginContext(serverless) {
+  const provider = serverless.getProvider('aws');
+  const globalTablesOptions = get(serverless, 'service.custom.globalTables');
+  const serviceName = serverless.service.getServiceName();
+  const stage = provider.getStage();
+  return {
+    awsCredentials: provider.getCredentials(),
+    region: provider.getRegion(),
+    stackName: serverless.service.provider.stackName || `${serviceName}-${stage}`,
+    cli: serverless.cli,
+    globalTablesOptions
+  };
+}
+
+/**
+ * Get the list of all the regions specified in the global table options, irrespective of the
+ * tables in the stack.
+ * @param {Object} globalTablesOptions Global table options specified by user
+ * @returns {Array} List of unique regions.
+ */
+const getConfiguredRegions = function getConfiguredRegions(globalTablesOptions) {
+  const tableConfigs = [{ regions: globalTablesOptions.regions || [] }];
+  Object.keys(globalTablesOptions.tables || {}).forEach(key => {
+    const tableOptions = globalTablesOptions.tables[key];
+    if (tableOptions && tableOptions.enabled !== false && tableOptions.regions) {
+      tableConfigs.push({ regions: tableOptions.regions });
+    }
+  });
+  return module.exports.getRegionsFromTableConfigs(tableConfigs);
+}
+
+/**
+ * Get the global table settings of the tables in the stack which need to be setup as global tables.
+ * @param {Object} cfn AWS Cloudformation object
+ * @param {string} stackName Cloudformation stack name
+ * @param {Object} globalTablesOptions Global table options specified by user
+ * @param {Object} cli Serverless cli object
+ * @returns {Array} List of tables along with the regions and version of global table to setup.
+ */
+const getGlobalTableConfigs = async function getGlobalTableConfigs(cfn, stackName, globalTablesOptions, cli) {
+  const tables = await module.exports.getTablesFromStack(cfn, stackName);
+  if (!tables.length) {
+    cli.consoleLog(`CreateGlobalTable: ${chalk.yellow('No table has been created as part of this stack. Skipping global table setup.')}`);
+    return [];
+  }
+
+  const tableConfigs = module.exports.getTableConfigs(tables, globalTablesOptions);
+  if (!tableConfigs.length) {
+    cli.consoleLog(`CreateGlobalTable: ${chalk.yellow('No table in this stack is configured as global table. Skipping global table setup.')}`);
+  }
+  return tableConfigs;
+}
+
+/**
+ * Runs the given async function for each item with at most `concurrency` calls in progress.
+ * @param {Array} items List of items
+ * @param {int} concurrency Maximum number of concurrent calls
+ * @param {Function} fn Async function called with each item
+ * @returns {Array} Results in the order of the items
+ */
+const mapWithConcurrency = async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  const workers = Math.max(1, Math.min(concurrency || 1, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
+
+/**
+ * Get the name of the deployment bucket created by the given stack.
+ * @param {Object} cfn AWS Cloudformation object
+ * @param {string} stackName Cloudformation stack name
+ * @returns {string} Bucket name, undefined if the stack or the bucket doesn't exist.
+ */
+const getStackDeploymentBucket = async function getStackDeploymentBucket(cfn, stackName) {
   try {
-    serverless.cli.consoleLog(`CreateGlobalTable: ${chalk.yellow('Starting setting up global tables...')}`)
-    const provider = serverless.getProvider('aws');
-    const awsCredentials = provider.getCredentials();
-    const region = provider.getRegion();
-    const serviceName = serverless.service.getServiceName();
-    const stage = provider.getStage();
-    const stackName = serverless.service.provider.stackName || `${serviceName}-${stage}`;
-    const cli = serverless.cli;
-
-    const globalTablesOptions = get(serverless, 'service.custom.globalTables');
-    if (!globalTablesOptions || Object.keys(globalTablesOptions).length === 0) {
-      cli.consoleLog(`CreateGlobalTable: ${chalk.yellow('Global Table configuration missing, skipping creation...')}`)
-      return
+    const resp = await module.exports.withRetries(() => cfn.describeStackResource({
+      StackName: stackName,
+      LogicalResourceId: DEPLOYMENTBUCKETRESOURCE
+    }));
+    return resp.StackResourceDetail.PhysicalResourceId;
+  } catch (err) {
+    if (err.code === 'ValidationError' && /does not exist/.test(err.message)) {
+      return undefined;
     }
+    throw err;
+  }
+}
 
-    const cfn = new AWS.CloudFormation({
-      credentials: awsCredentials.credentials,
-      region,
-    });
+/**
+ * Deletes all the objects of the deployment bucket, which has to be empty to be deleted along with its stack.
+ * @param {Object} s3 AWS S3 object
+ * @param {string} bucketName Bucket name
+ * @param {string} region AWS region
+ * @param {Object} cli Serverless cli object
+ */
+const emptyDeploymentBucket = async function emptyDeploymentBucket(s3, bucketName, region, cli) {
+  cli.consoleLog(`CreateGlobalTable: ${chalk.yellow(`Removing the objects of the deployment bucket ${bucketName} in ${region}...`)}`);
+  let token;
+  do {
+    const resp = await module.exports.withRetries(() => s3.listObjectsV2({ Bucket: bucketName, ContinuationToken: token }));
+    const objects = (resp.Contents || []).map(o => ({ Key: o.Key }));
+    if (objects.length) {
+      await module.exports.withRetries(() => s3.deleteObjects({ Bucket: bucketName, Delete: { Objects: objects } }));
+    }
+    token = resp.IsTruncated ? resp.NextContinuationToken : undefined;
+  } while (token);
+}
 
-    const dynamodb = new AWS.DynamoDB({
-      credentials: awsCredentials.credentials,
-      region,
-    });
+/**
+ * Get the deployment bucket of the service in the source region: the bucket configured under
+ * provider.deploymentBucket, else the bucket created by the service stack.
+ * @param {Object} serverless The serverless
+ * @param {Object} cfn AWS Cloudformation object of the source region
+ * @param {string} stackName Cloudformation stack name
+ * @returns {string} Bucket name
+ */
+const getSourceDeploymentBucket = async function getSourceDeploymentBucket(serverless, cfn, stackName) {
+  const configured = get(serverless, 'service.provider.deploymentBucket');
+  const bucketName = configured && typeof configured === 'object' ? configured.name : configured;
+  return bucketName || module.exports.getStackDeploymentBucket(cfn, stackName);
+}
 
-    const tableNames = await module.exports.getTableNamesFromStack(cfn, stackName);
-    if (!tableNames.length) {
-      cli.consoleLog(`CreateGlobalTable: ${chalk.yellow('No table has been created as part of this stack. Skipping global table setup.')}`);
+/**
+ * Get the S3 keys of the artifacts (function and layer packages) the template references in the given bucket.
+ * @param {Object} template Cloudformation template
+ * @param {string} sourceBucket Deployment bucket of the source region
+ * @returns {Array} List of S3 keys
+ */
+const getTemplateArtifacts = function getTemplateArtifacts(template, sourceBucket) {
+  const keys = [];
+  Object.values(template.Resources || {}).forEach(resource => {
+    const location = get(resource, 'Properties.Code') || get(resource, 'Properties.Content');
+    if (!location || typeof location.S3Key !== 'string') {
       return;
     }
+    const bucket = location.S3Bucket;
+    if (get(bucket, 'Ref') === DEPLOYMENTBUCKETRESOURCE || (sourceBucket && bucket === sourceBucket)) {
+      if (!keys.includes(location.S3Key)) {
+        keys.push(location.S3Key);
+      }
+    }
+  });
+  return keys;
+}
 
-    if (globalTablesOptions.createStack === false) {
-      const applicationautoscaling = new AWS.ApplicationAutoScaling({
-        credentials: awsCredentials.credentials,
-        region,
-      });
+/**
+ * Get the deployment bucket of the regional stack: the bucket configured for the region under deploymentBuckets,
+ * else the bucket created by the regional stack. If the regional stack doesn't exist yet, it is first created with
+ * the deployment bucket only, the same way serverless creates the service stack.
+ * @param {Object} cfn AWS Cloudformation object of the region
+ * @param {Object} template Cloudformation template
+ * @param {string} stackName Cloudformation stack name
+ * @param {string} region AWS region
+ * @param {Object} cli Serverless cli object
+ * @param {Object} globalTablesOptions Global table options specified by user
+ * @param {Function} onStatus Optional callback receiving the region and stack status while waiting for the stack
+ * @param {Object} stackSettings Settings of the regional stack, applied when the stack is created
+ * @returns {string} Bucket name
+ */
+const getRegionalDeploymentBucket = async function getRegionalDeploymentBucket(
+  cfn, template, stackName, region, cli, globalTablesOptions, onStatus, stackSettings
+) {
+  const configured = get(globalTablesOptions, ['deploymentBuckets', region]);
+  if (configured) {
+    return configured;
+  }
+  let bucketName = await module.exports.getStackDeploymentBucket(cfn, stackName);
+  const bucketResource = get(template, ['Resources', DEPLOYMENTBUCKETRESOURCE]);
+  if (!bucketName && bucketResource && await module.exports.getChangeSetType(cfn, stackName) === 'CREATE') {
+    cli.consoleLog(`CreateGlobalTable: ${chalk.yellow(`Creating the deployment bucket of stack ${stackName} in ${region}...`)}`);
+    const resources = { [DEPLOYMENTBUCKETRESOURCE]: bucketResource };
+    const bucketPolicy = get(template, 'Resources.ServerlessDeploymentBucketPolicy');
+    if (bucketPolicy) {
+      resources.ServerlessDeploymentBucketPolicy = bucketPolicy;
+    }
+    const coreTemplate = {
+      AWSTemplateFormatVersion: '2010-09-09',
+      Description: template.Description,
+      Resources: resources
+    };
+    const status = await module.exports.createUpdateCfnStack(
+      cfn, coreTemplate, stackName, region, cli, onStatus, globalTablesOptions, { stackSettings }
+    );
+    if (status === STACKFAILED) {
+      throw new Error(`Failed to create the deployment bucket of stack ${stackName} in ${region}`);
+    }
+    bucketName = await module.exports.getStackDeploymentBucket(cfn, stackName);
+  }
+  if (!bucketName) {
+    throw new Error(`No deployment bucket found for ${region}, please set it under deploymentBuckets.${region}`);
+  }
+  return bucketName;
+}
 
-      for (let tableName of tableNames) {
-        await module.exports.createGlobalTable(
-          applicationautoscaling,
-          dynamodb,
-          awsCredentials.credentials,
-          region,
-          tableName,
-          globalTablesOptions.regions,
-          globalTablesOptions.version,
-          false,
-          cli
-        )
-      }
+/**
+ * Returns a copy of the template value in which each value the given function returns something for is replaced.
+ * @param {Object} value Template or part of it
+ * @param {Function} fn Function returning the replacement of the value, or undefined to keep it
+ * @returns {Object} Transformed copy of the value
+ */
+const transformTemplate = function transformTemplate(value, fn) {
+  const replacement = fn(value);
+  if (replacement !== undefined) {
+    return replacement;
+  }
+  if (Array.isArray(value)) {
+    return value.map(v => transformTemplate(v, fn));
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).reduce((result, key) => {
+      result[key] = transformTemplate(value[key], fn);
+      return result;
+    }, {});
+  }
+  return value;
+}
+
+/**
+ * Merges the patch into a copy of the target object. Nested objects are merged, other values are replaced and
+ * null values remove the key.
+ * @param {Object} target Object to patch
+ * @param {Object} patch Patch
+ * @returns {Object} Patched copy of the target
+ */
+const mergePatch = function mergePatch(target, patch) {
+  const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+  const result = Object.assign({}, target);
+  Object.keys(patch).forEach(key => {
+    if (patch[key] === null) {
+      delete result[key];
+    } else if (isObject(patch[key]) && isObject(result[key])) {
+      result[key] = mergePatch(result[key], patch[key]);
     } else {
-      const cfnTemplate = serverless.service.provider.compiledCloudFormationTemplate;
-      for (let newRegion of globalTablesOptions.regions) {
-        let cfn = new AWS.CloudFormation({
-          region: newRegion,
-          credentials: awsCredentials.credentials
-        })
-        await module.exports.createUpdateCfnStack(cfn, cfnTemplate, stackName, newRegion, cli);
-      }
+      result[key] = patch[key];
+    }
+  });
+  return result;
+}
 
-      for (let tableName of tableNames) {
-        await module.exports.createGlobalTable(
-          null,
-          dynamodb,
-          awsCredentials.credentials,
-          region,
-          tableName,
-          globalTablesOptions.regions,
-          globalTablesOptions.version,
-          true,
-          cli
-        )
-      }
+/**
+ * Get the template to deploy in the region: the ARNs and endpoints of the source region are changed to the region,
+ * and the overrides of the region (parameter defaults, import values and resource patches) are applied.
+ * The properties referring to resources pinned to us-east-1 (e.g. the certificates and Lambda@Edge functions of
+ * CloudFront), the ARNs starting with one of the keepArns of the region and, when rewriteArns is false for the region,
+ * all the ARNs and endpoints are left unchanged.
+ * @param {Object} template Cloudformation template
+ * @param {string} sourceRegion AWS region in which service is deployed
+ * @param {string} region AWS region in which the template is deployed
+ * @param {Object} regionOverrides Map of region to overrides specified by user
+ * @returns {Object} Template of the region
+ */
+const getRegionalTemplate = function getRegionalTemplate(template, sourceRegion, region, regionOverrides = {}) {
+  const overrides = regionOverrides[region] || {};
+  const importValues = overrides.ImportValues || {};
+  const keepArns = overrides.keepArns || [];
+  const arnPattern = sourceRegion && new RegExp(`(arn:aws[a-z-]*:[a-z0-9-]*:)${sourceRegion}:`, 'g');
+  const endpointPattern = sourceRegion && new RegExp(`\\.${sourceRegion}\\.amazonaws\\.com`, 'g');
+  const rewriteRegion = value => value
+    .replace(arnPattern, (arn, prefix, offset) => (keepArns.some(k => value.startsWith(k, offset)) ? arn : `${prefix}${region}:`))
+    .replace(endpointPattern, `.${region}.amazonaws.com`);
+  const transform = (part, rewrite) => transformTemplate(part, value => {
+    if (typeof value === 'string') {
+      return rewrite ? rewriteRegion(value) : value;
+    }
+    const importName = get(value, 'Fn::ImportValue');
+    if (typeof importName === 'string' && Object.keys(value).length === 1 && importValues[importName] !== undefined) {
+      return importValues[importName];
+    }
+    const pinned = rewrite && REGIONPINNEDPROPERTIES[get(value, 'Type')];
+    if (pinned && get(value, 'Properties') && typeof value.Properties === 'object') {
+      return Object.keys(value).reduce((resource, key) => {
+        resource[key] = key !== 'Properties' ? transform(value[key], rewrite) :
+          Object.keys(value.Properties).reduce((properties, name) => {
+            properties[name] = transform(value.Properties[name], !pinned.includes(name));
+            return properties;
+          }, {});
+        return resource;
+      }, {});
+    }
+    return undefined;
+  });
+  const regionalTemplate = transform(template, Boolean(sourceRegion) && overrides.rewriteArns !== false);
+
+  Object.keys(overrides.Parameters || {}).forEach(name => {
+    if (!get(regionalTemplate, ['Parameters', name])) {
+      throw new Error(`Parameter ${name} of regionOverrides.${region} is not defined in the template`);
+    }
+    regionalTemplate.Parameters[name].Default = overrides.Parameters[name];
+  });
+  if (overrides.Resources) {
+    regionalTemplate.Resources = mergePatch(regionalTemplate.Resources || {}, overrides.Resources);
+  }
+  return regionalTemplate;
+}
+
+/**
+ * Uploads the template and copies the artifacts it references to the deployment bucket of the region, when the
+ * template is too large to be sent as template body or references artifacts. The artifacts are copied with
+ * the same key from the deployment bucket of the source region.
+ * @param {Object} s3 AWS S3 object of the region
+ * @param {Object} cfn AWS Cloudformation object of the region
+ * @param {Object} template Cloudformation template
+ * @param {string} stackName Cloudformation stack name
+ * @param {string} region AWS region
+ * @param {Object} cli Serverless cli object
+ * @param {Object} globalTablesOptions Global table options specified by user
+ * @param {string} sourceBucket Deployment bucket of the source region
+ * @param {Function} onStatus Optional callback receiving the region and stack status while waiting for the stack
+ * @param {Object} stackSettings Settings of the regional stack
+ * @returns {Object} Template to deploy in the region and its S3 URL, the URL is undefined if nothing was uploaded.
+ */
+const uploadRegionalTemplate = async function uploadRegionalTemplate(
+  s3, cfn, template, stackName, region, cli, globalTablesOptions, sourceBucket, onStatus, stackSettings
+) {
+  const artifacts = module.exports.getTemplateArtifacts(template, sourceBucket);
+  if (!artifacts.length && Buffer.byteLength(JSON.stringify(template)) <= TEMPLATEBODYLIMIT) {
+    return { template };
+  }
+  const bucketName = await module.exports.getRegionalDeploymentBucket(
+    cfn, template, stackName, region, cli, globalTablesOptions, onStatus, stackSettings
+  );
+  // artifacts referenced by bucket name are moved to the bucket of the region, and the artifacts of the bucket of
+  // the stack to the bucket configured for the region, as the bucket of the regional stack is not used then
+  const configuredBucket = Boolean(get(globalTablesOptions, ['deploymentBuckets', region]));
+  const regionalTemplate = transformTemplate(template, value => {
+    const bucket = get(value, 'S3Bucket');
+    const moved = (sourceBucket && bucket === sourceBucket) ||
+      (configuredBucket && get(bucket, 'Ref') === DEPLOYMENTBUCKETRESOURCE);
+    if (moved && typeof value.S3Key === 'string') {
+      return Object.assign({}, value, { S3Bucket: bucketName });
+    }
+    return undefined;
+  });
+  for (const key of artifacts) {
+    if (!sourceBucket) {
+      throw new Error(`No deployment bucket found for the artifact ${key}`);
+    }
+    cli.consoleLog(`CreateGlobalTable: ${chalk.yellow(`Copying ${key} to ${bucketName} in ${region}...`)}`);
+    await module.exports.withRetries(() => s3.copyObject({
+      Bucket: bucketName,
+      Key: key,
+      CopySource: encodeURI(`${sourceBucket}/${key}`)
+    }));
+  }
+  const prefix = artifacts.length ? artifacts[0].split('/').slice(0, -1).join('/') : `serverless/${stackName}/global-tables`;
+  const templateKey = `${prefix ? `${prefix}/` : ''}compiled-cloudformation-template-${region}.json`;
+  await module.exports.withRetries(() => s3.putObject({
+    Bucket: bucketName,
+    Key: templateKey,
+    Body: JSON.stringify(regionalTemplate),
+    ContentType: 'application/json'
+  }));
+  const domain = region.startsWith('cn-') ? 'amazonaws.com.cn' : 'amazonaws.com';
+  return { template: regionalTemplate, templateUrl: `https://${bucketName}.s3.${region}.${domain}/${templateKey}` };
+}
+
+/**
+ * Deploys the cloudformation stack in the given regions concurrently, printing the stack status of all the regions
+ * on each change and a summary at the end.
+ * @param {Object} awsCredentials AWS credentials object
+ * @param {Object} template Cloudformation template
+ * @param {string} stackName Cloudformation stack name
+ * @param {Array} regions List of regions in which stack needs to be deployed
+ * @param {Object} cli Serverless cli object
+ * @param {Object} globalTablesOptions Global table options specified by user
+ * @param {Object} source Region in which service is deployed, its deployment bucket, from which the artifacts are copied,
+ * and the settings of the service stack
+ * @returns {Array} Deployment result of each region
+ */
+const deployRegionalStacks = async function deployRegionalStacks(
+  awsCredentials, template, stackName, regions, cli, globalTablesOptions = {}, source = {}
+) {
+  const statuses = {};
+  regions.forEach(r => { statuses[r] = 'PENDING'; });
+  const onStatus = (r, status) => {
+    if (statuses[r] === status) {
+      return;
+    }
+    statuses[r] = status;
+    const progress = regions.map(pr => `${pr} ${statuses[pr]}`).join(' | ');
+    cli.consoleLog(`CreateGlobalTable: ${chalk.yellow(`Stack status: ${progress}`)}`);
+  };
+
+  const concurrency = globalTablesOptions.concurrency || DEFAULTSTACKCONCURRENCY;
+  const regionSettings = module.exports.getRegionSettings(globalTablesOptions);
+  const results = await module.exports.mapWithConcurrency(regions, concurrency, async newRegion => {
+    const credentials = module.exports.getRegionCredentials(awsCredentials.credentials, newRegion, regionSettings);
+    const cfn = new AWS.CloudFormation({
+      region: newRegion,
+      credentials
+    });
+    const s3 = new AWS.S3({
+      region: newRegion,
+      credentials
+    });
+    try {
+      const transformedTemplate = module.exports.getRegionalTemplate(
+        template, source.region, newRegion, globalTablesOptions.regionOverrides
+      );
+      const stackSettings = module.exports.getRegionalStackSettings(
+        source.stackSettings, source.region, newRegion, globalTablesOptions.regionOverrides
+      );
+      const regionalTemplate = await module.exports.uploadRegionalTemplate(
+        s3, cfn, transformedTemplate, stackName, newRegion, cli, globalTablesOptions, source.bucket, onStatus, stackSettings
+      );
+      const status = await module.exports.createUpdateCfnStack(
+        cfn, regionalTemplate.template, stackName, newRegion, cli, onStatus, globalTablesOptions,
+        { templateUrl: regionalTemplate.templateUrl, stackSettings }
+      );
+      if (status === STACKUNCHANGED) {
+        onStatus(newRegion, 'NO_CHANGES');
+      }
+      return { region: newRegion, status: status || STACKDEPLOYED };
+    } catch (err) {
+      onStatus(newRegion, 'FAILED');
+      return { region: newRegion, status: STACKFAILED, error: err.message || String(err) };
+    }
+  });
+
+  const deployed = results.filter(r => r.status === STACKDEPLOYED).map(r => r.region);
+  const unchanged = results.filter(r => r.status === STACKUNCHANGED).map(r => r.region);
+  const failed = results.filter(r => r.status === STACKFAILED);
+  if (deployed.length) {
+    cli.consoleLog(`CreateGlobalTable: ${chalk.green(`Stack ${stackName} deployed in: ${deployed.join(', ')}`)}`);
+  }
+  if (unchanged.length) {
+    cli.consoleLog(`CreateGlobalTable: ${chalk.green(`Stack ${stackName} had no changes in: ${unchanged.join(', ')}`)}`);
+  }
+  if (failed.length) {
+    const details = failed.map(r => (r.error ? `${r.region} (${r.error})` : r.region)).join(', ');
+    cli.consoleLog(`CreateGlobalTable: ${chalk.red(`Stack ${stackName} failed in: ${details}`)}`);
+    const error = new Error(`Failed to deploy the stack ${stackName} in ${failed.map(r => r.region).join(', ')}`);
+    error.failures = failed.map(r => ({ stack: stackName, regions: [r.region], error: r.error || 'the stack rolled back' }));
+    throw error;
+  }
+  return results;
+}
+
+/**
+ * Waits until the replicas of the table in the given regions are active. The regions whose replica is still not
+ * active when the wait times out are returned with their last status.
+ * @param {Object} dynamodb AWS Dynamodb object
+ * @param {string} region AWS region in which source table exists
+ * @param {string} tableName Dynamodb table name
+ * @param {Array} regions List of replica regions
+ * @param {string} version It's version of global table
+ * @returns {Object} Map of region to replica status
+ */
+const waitForReplicasActive = async function waitForReplicasActive(dynamodb, region, tableName, regions, version) {
+  let statuses = {};
+  const getStatuses = async () => {
+    const replicas = await module.exports.getGlobalTableReplicas(dynamodb, region, tableName, version);
+    statuses = regions.reduce((result, r) => {
+      const replica = replicas.find(rp => rp.region === r);
+      result[r] = replica ? replica.status : 'NOT_CREATED';
+      return result;
+    }, {});
+    return regions.every(r => statuses[r] === 'ACTIVE') ? statuses : undefined;
+  };
+  try {
+    return await module.exports.pollUntil(getStatuses, `replicas of ${tableName} to be active`);
+  } catch (err) {
+    if (!/^Timed out/.test(err.message)) {
+      throw err;
+    }
+    return statuses;
+  }
+}
+
+/**
+ * Get the key of the canary item, with a unique value for each key attribute of the table.
+ * @param {Object} table Dynamodb table description
+ * @returns {Object} Dynamodb item key
+ */
+const getCanaryKey = function getCanaryKey(table) {
+  const id = `${Date.now()}${Math.floor(Math.random() * 1000000)}`;
+  return table.KeySchema.reduce((key, k) => {
+    const attribute = table.AttributeDefinitions.find(a => a.AttributeName === k.AttributeName);
+    if (attribute.AttributeType === 'N') {
+      key[k.AttributeName] = { N: id };
+    } else if (attribute.AttributeType === 'B') {
+      key[k.AttributeName] = { B: Buffer.from(`global-tables-canary-${id}`) };
+    } else {
+      key[k.AttributeName] = { S: `global-tables-canary-${id}` };
+    }
+    return key;
+  }, {});
+}
+
+/**
+ * Writes a canary item to the source table and reads it back from the replica in each region until it's found or
+ * the timeout expires. The canary item is deleted afterwards.
+ * @param {Object} dynamodb AWS Dynamodb object
+ * @param {Object} creds AWS credentials object
+ * @param {string} tableName Dynamodb table name
+ * @param {Array} regions List of replica regions
+ * @param {Object} regionSettings Map of region to the credential settings of the region
+ * @param {int} timeout Maximum time in milliseconds to wait for the item in each region
+ * @returns {Object} Map of region to true if the item was replicated, else false
+ */
+const checkCanaryReplication = async function checkCanaryReplication(dynamodb, creds, tableName, regions, regionSettings, timeout) {
+  const resp = await module.exports.withRetries(() => dynamodb.describeTable({ TableName: tableName }));
+  const key = module.exports.getCanaryKey(resp.Table);
+  await module.exports.withRetries(() => dynamodb.putItem({
+    TableName: tableName,
+    Item: Object.assign({ [CANARYATTRIBUTE]: { S: new Date().toISOString() } }, key)
+  }));
+  try {
+    const replicated = await Promise.all(regions.map(async r => {
+      const ddb = new AWS.DynamoDB({
+        credentials: module.exports.getRegionCredentials(creds, r, regionSettings),
+        region: r,
+      });
+      const startTime = Date.now();
+      while (Date.now() - startTime < timeout) {
+        try {
+          const item = await ddb.getItem({ TableName: tableName, Key: key, ConsistentRead: true }).promise();
+          if (item.Item) {
+            return true;
+          }
+        } catch (err) {
+          if (!THROTTLINGERRORS.includes(err.code) && err.code !== 'ResourceNotFoundException') {
+            throw err;
+          }
+        }
+        await module.exports.sleep(CANARYPOLLINTERVAL);
+      }
+      return false;
+    }));
+    return regions.reduce((result, r, i) => {
+      result[r] = replicated[i];
+      return result;
+    }, {});
+  } finally {
+    await module.exports.withRetries(() => dynamodb.deleteItem({ TableName: tableName, Key: key }));
+  }
+}
+
+/**
+ * Verifies that the replica of the table in each region is active and, if `verifyReplication` is set, that an item
+ * written to the source table is replicated to it.
+ * @param {Object} dynamodb AWS Dynamodb object
+ * @param {Object} creds AWS credentials object
+ * @param {string} region AWS region in which source table exists
+ * @param {Object} tableConfig Table along with the regions and version of global table
+ * @param {Object} globalTablesOptions Global table options specified by user
+ * @param {Object} cli Serverless cli object
+ * @returns {Array} List of replica regions along with their status and whether they are verified
+ */
+const verifyGlobalTable = async function verifyGlobalTable(dynamodb, creds, region, tableConfig, globalTablesOptions = {}, cli) {
+  const { tableName, version } = tableConfig;
+  const regions = tableConfig.regions.filter(r => r !== region);
+  cli.consoleLog(`CreateGlobalTable: ${chalk.yellow(`Verifying the replicas of ${tableName}...`)}`);
+  const statuses = await module.exports.waitForReplicasActive(dynamodb, region, tableName, regions, version);
+  const results = regions.map(r => ({
+    region: r,
+    status: statuses[r],
+    verified: statuses[r] === 'ACTIVE',
+    reason: statuses[r] === 'ACTIVE' ? undefined : `replica is ${statuses[r]}`
+  }));
+
+  const activeRegions = results.filter(r => r.verified).map(r => r.region);
+  if (globalTablesOptions.verifyReplication === true && activeRegions.length) {
+    const timeout = (globalTablesOptions.replicationTimeout || DEFAULTREPLICATIONTIMEOUTMINUTES) * 60000;
+    const replicated = await module.exports.checkCanaryReplication(
+      dynamodb, creds, tableName, activeRegions, module.exports.getRegionSettings(globalTablesOptions), timeout
+    );
+    results.filter(r => r.verified && !replicated[r.region]).forEach(r => {
+      r.verified = false;
+      r.reason = `canary item not replicated within ${timeout / 60000} min`;
+    });
+  }
+
+  const lines = results.map(r => `  ${r.region}: ${r.verified ? 'verified' : `unverified (${r.reason})`}`);
+  cli.consoleLog(`CreateGlobalTable: ${chalk[results.every(r => r.verified) ? 'green' : 'red'](
+    `Replicas of ${tableName}:\n${lines.join('\n')}`
+  )}`);
+  return results;
+}
+
+/**
+ * Get the cloudwatch alarms of the replica of the table in each region: average ReplicationLatency and, for version
+ * 2017.11.29 (the only one publishing it), PendingReplicationCount above the configured thresholds.
+ * @param {string} tableName Dynamodb table name
+ * @param {Array} regions List of replica regions
+ * @param {string} version It's version of global table
+ * @param {Object} alarmsOptions Alarm options specified by user
+ * @returns {Array} List of cloudwatch put metric alarm params.
+ */
+const getReplicaAlarms = function getReplicaAlarms(tableName, regions, version, alarmsOptions = {}) {
+  const thresholds = {
+    ReplicationLatency: alarmsOptions.replicationLatency,
+    PendingReplicationCount: version === 'v2' ? undefined : alarmsOptions.pendingReplicationCount
+  };
+  const alarms = [];
+  regions.forEach(r => {
+    REPLICAALARMMETRICS.filter(metric => thresholds[metric] !== undefined).forEach(metric => {
+      alarms.push({
+        AlarmName: `${tableName}-${metric}-${r}`,
+        AlarmDescription: `${metric} of the ${tableName} replica in ${r}`,
+        Namespace: 'AWS/DynamoDB',
+        MetricName: metric,
+        Dimensions: [{ Name: 'TableName', Value: tableName }, { Name: 'ReceivingRegion', Value: r }],
+        Statistic: metric === 'ReplicationLatency' ? 'Average' : 'Maximum',
+        Period: ALARMPERIOD,
+        EvaluationPeriods: alarmsOptions.evaluationPeriods || DEFAULTALARMEVALUATIONPERIODS,
+        Threshold: thresholds[metric],
+        ComparisonOperator: 'GreaterThanThreshold',
+        TreatMissingData: 'notBreaching',
+        AlarmActions: alarmsOptions.topics || [],
+        OKActions: alarmsOptions.topics || []
+      });
+    });
+  });
+  return alarms;
+}
+
+/**
+ * Creates or updates the replication alarms of the replica of the table in each region.
+ * @param {Object} cloudwatch AWS CloudWatch object of the source region
+ * @param {string} tableName Dynamodb table name
+ * @param {Array} regions List of replica regions
+ * @param {string} version It's version of global table
+ * @param {Object} alarmsOptions Alarm options specified by user
+ * @param {Object} cli Serverless cli object
+ */
+const putReplicaAlarms = async function putReplicaAlarms(cloudwatch, tableName, regions, version, alarmsOptions, cli) {
+  const alarms = module.exports.getReplicaAlarms(tableName, regions, version, alarmsOptions);
+  for (let alarm of alarms) {
+    await module.exports.withRetries(() => cloudwatch.putMetricAlarm(alarm));
+  }
+  if (alarms.length) {
+    cli.consoleLog(`CreateGlobalTable: ${chalk.yellow(`Created/Updated the replication alarms of ${tableName} for ${regions.join(', ')}`)}`);
+  }
+}
+
+/**
+ * Deletes the replication alarms of the table for the regions which are not in the given list.
+ * @param {Object} cloudwatch AWS CloudWatch object of the source region
+ * @param {string} tableName Dynamodb table name
+ * @param {Array} keepRegions List of replica regions whose alarms are kept
+ * @param {Object} cli Serverless cli object
+ */
+const deleteReplicaAlarms = async function deleteReplicaAlarms(cloudwatch, tableName, keepRegions, cli) {
+  const alarmNames = [];
+  let nextToken;
+  do {
+    const resp = await module.exports.withRetries(() => cloudwatch.describeAlarms({ AlarmNamePrefix: `${tableName}-`, NextToken: nextToken }));
+    nextToken = resp.NextToken;
+    (resp.MetricAlarms || []).forEach(alarm => {
+      const dimensions = (alarm.Dimensions || []).reduce((result, d) => Object.assign(result, { [d.Name]: d.Value }), {});
+      if (alarm.Namespace === 'AWS/DynamoDB' && REPLICAALARMMETRICS.includes(alarm.MetricName) &&
+        dimensions.TableName === tableName && dimensions.ReceivingRegion && !keepRegions.includes(dimensions.ReceivingRegion)) {
+        alarmNames.push(alarm.AlarmName);
+      }
+    });
+  } while (nextToken)
+  for (let i = 0; i < alarmNames.length; i += 100) {
+    await module.exports.withRetries(() => cloudwatch.deleteAlarms({ AlarmNames: alarmNames.slice(i, i + 100) }));
+  }
+  if (alarmNames.length) {
+    cli.consoleLog(`CreateGlobalTable: ${chalk.yellow(`Deleted the replication alarms ${alarmNames.join(', ')}`)}`);
+  }
+}
+
+/**
+ * Sets up the global table relation for each of the given tables and verifies their replicas. The setup of all the
+ * tables is attempted, and the tables which failed or whose replicas couldn't be verified are listed in the thrown error.
+ * @param {Object} awsCredentials AWS credentials object
+ * @param {string} region AWS region in which source tables exist
+ * @param {Array} tableConfigs List of tables along with the regions and version of global table to setup
+ * @param {Object} globalTablesOptions Global table options specified by user
+ * @param {Object} cli Serverless cli object
+ */
+const setupGlobalTables = async function setupGlobalTables(awsCredentials, region, tableConfigs, globalTablesOptions, cli) {
+  const createStack = globalTablesOptions.createStack !== false;
+  const dynamodb = new AWS.DynamoDB({
+    credentials: awsCredentials.credentials,
+    region,
+  });
+  const applicationautoscaling = createStack ? null : new AWS.ApplicationAutoScaling({
+    credentials: awsCredentials.credentials,
+    region,
+  });
+  const cloudwatch = globalTablesOptions.alarms ? new AWS.CloudWatch({
+    credentials: awsCredentials.credentials,
+    region,
+  }) : null;
+
+  const failures = [];
+  for (let tableConfig of tableConfigs) {
+    try {
+      await module.exports.createGlobalTable(
+        applicationautoscaling,
+        dynamodb,
+        awsCredentials.credentials,
+        region,
+        tableConfig.tableName,
+        tableConfig.regions,
+        tableConfig.version,
+        createStack,
+        cli,
+        {
+          pruneRegions: globalTablesOptions.pruneRegions === true,
+          kmsKeys: globalTablesOptions.kmsKeys,
+          regionSettings: module.exports.getRegionSettings(globalTablesOptions)
+        }
+      )
+      const replicas = await module.exports.verifyGlobalTable(
+        dynamodb, awsCredentials.credentials, region, tableConfig, globalTablesOptions, cli
+      );
+      if (cloudwatch) {
+        const replicaRegions = tableConfig.regions.filter(r => r !== region);
+        await module.exports.putReplicaAlarms(
+          cloudwatch, tableConfig.tableName, replicaRegions, tableConfig.version, globalTablesOptions.alarms, cli
+        );
+        if (globalTablesOptions.pruneRegions === true) {
+          await module.exports.deleteReplicaAlarms(cloudwatch, tableConfig.tableName, replicaRegions, cli);
+        }
+      }
+      const unverified = replicas.filter(r => !r.verified);
+      if (unverified.length) {
+        failures.push({
+          table: tableConfig.tableName,
+          regions: unverified.map(r => r.region),
+          error: `replicas not verified (${unverified.map(r => `${r.region}: ${r.reason}`).join(', ')})`
+        });
+      }
+    } catch (err) {
+      cli.consoleLog(`CreateGlobalTable: ${chalk.red(`Failed to setup global table ${tableConfig.tableName}. Error ${err.message || err}`)}`)
+      failures.push({ table: tableConfig.tableName, regions: tableConfig.regions, error: err.message || String(err) });
+    }
+  }
+  if (failures.length) {
+    const error = new Error(`Failed to setup the global tables ${failures.map(f => f.table).join(', ')}`);
+    error.failures = failures;
+    throw error;
+  }
+}
+
+/**
+ * Logs the error of the global table setup and, if failOnError is set, throws it as serverless error with a
+ * summary of the tables and regions which failed, so that the command exits with a non-zero code.
+ * @param {Object} serverless The serverless
+ * @param {Object} error Error thrown by the setup
+ * @param {string} message Description of the failed operation
+ */
+const handleSetupError = function handleSetupError(serverless, error, message) {
+  serverless.cli.consoleLog(`CreateGlobalTable: ${chalk.red(`${message}. Error ${error.message || error}`)}`)
+  if (get(serverless, 'service.custom.globalTables.failOnError') !== true) {
+    return;
+  }
+  const summary = error.failures ?
+    error.failures.map(f => `  ${f.table ? `Table ${f.table}` : `Stack ${f.stack}`} (${f.regions.join(', ')}): ${f.error}`) :
+    [`  ${error.message || error}`];
+  throw new serverless.classes.Error([`${message}:`, ...summary].join('\n'));
+}
+
+/**
+ * Get the id of the cloudformation stack, or undefined if the stack doesn't exist.
+ * @param {Object} cfn AWS Cloudformation object
+ * @param {string} stackName Cloudformation stack name
+ * @returns {string} Stack id
+ */
+const getStackId = async function getStackId(cfn, stackName) {
+  try {
+    const resp = await module.exports.withRetries(() => cfn.describeStacks({ StackName: stackName }));
+    return resp.Stacks[0].StackId;
+  } catch (err) {
+    if (err.code === 'ValidationError' && /does not exist/.test(err.message)) {
+      return undefined;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Get the replica of the table in each region along with its status, table ARN, latest stream ARN, billing mode
+ * and the id of the stack deployed in the region.
+ * @param {Object} awsCredentials AWS credentials object
+ * @param {string} region AWS region in which source tables exist
+ * @param {string} stackName Cloudformation stack name
+ * @param {Array} tableConfigs List of tables along with the regions and version of global table
+ * @param {Object} globalTablesOptions Global table options specified by user
+ * @returns {Array} List of tables along with their replicas.
+ */
+const getReplicaManifest = async function getReplicaManifest(awsCredentials, region, stackName, tableConfigs, globalTablesOptions = {}) {
+  const regionSettings = module.exports.getRegionSettings(globalTablesOptions);
+  const createStack = globalTablesOptions.createStack !== false;
+  const stackIds = {};
+  const getRegionalStackId = async r => {
+    if (!(r in stackIds)) {
+      const cfn = new AWS.CloudFormation({
+        region: r,
+        credentials: module.exports.getRegionCredentials(awsCredentials.credentials, r, regionSettings)
+      });
+      stackIds[r] = await module.exports.getStackId(cfn, stackName);
+    }
+    return stackIds[r];
+  };
+
+  const tables = [];
+  for (let tableConfig of tableConfigs) {
+    const replicas = [];
+    let replicaStatuses = {};
+    for (let r of [region, ...tableConfig.regions.filter(tr => tr !== region)]) {
+      const dynamodb = new AWS.DynamoDB({
+        region: r,
+        credentials: module.exports.getRegionCredentials(awsCredentials.credentials, r, regionSettings)
+      });
+      const replica = { region: r, status: 'NOT_CREATED' };
+      try {
+        const resp = await module.exports.withRetries(() => dynamodb.describeTable({ TableName: tableConfig.tableName }));
+        if (r === region) {
+          replicaStatuses = (resp.Table.Replicas || []).reduce((statuses, rp) => {
+            statuses[rp.RegionName] = rp.ReplicaStatus;
+            return statuses;
+          }, {});
+        }
+        Object.assign(replica, {
+          status: replicaStatuses[r] || resp.Table.TableStatus,
+          tableArn: resp.Table.TableArn,
+          streamArn: resp.Table.LatestStreamArn,
+          billingMode: module.exports.getBillingMode(resp.Table)
+        });
+      } catch (err) {
+        if (err.code !== 'ResourceNotFoundException') {
+          throw err;
+        }
+      }
+      // the stack of the service region is the service stack itself
+      if (createStack || r === region) {
+        replica.stackId = await getRegionalStackId(r);
+      }
+      replicas.push(replica);
+    }
+    tables.push({
+      logicalId: tableConfig.logicalId,
+      tableName: tableConfig.tableName,
+      version: tableConfig.version === 'v2' ? 'v2' : 'v1',
+      replicas
+    });
+  }
+  return tables;
+}
+
+/**
+ * Writes the replicas of the global tables to the manifest file (`manifest` option, `.serverless/global-tables.json`
+ * by default, relative to the service directory). Failing to write the manifest doesn't fail the setup.
+ * @param {Object} serverless The serverless
+ * @param {string} region AWS region in which source tables exist
+ * @param {string} stackName Cloudformation stack name
+ * @param {Array} tables List of tables along with their replicas
+ * @param {Object} globalTablesOptions Global table options specified by user
+ * @returns {string} Path of the manifest file, or undefined if it's not written.
+ */
+const writeReplicaManifest = function writeReplicaManifest(serverless, region, stackName, tables, globalTablesOptions = {}) {
+  try {
+    const manifest = {
+      service: serverless.service.getServiceName(),
+      stage: serverless.getProvider('aws').getStage(),
+      region,
+      stackName,
+      updatedAt: new Date().toISOString(),
+      tables
+    };
+    const servicePath = get(serverless, 'config.servicePath') || process.cwd();
+    const manifestPath = path.resolve(servicePath, globalTablesOptions.manifest || DEFAULTMANIFESTPATH);
+    fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+    fs.writeFileSync(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`);
+    serverless.cli.consoleLog(`CreateGlobalTable: ${chalk.green(`Global tables manifest written to ${manifestPath}`)}`);
+    return manifestPath;
+  } catch (err) {
+    serverless.cli.consoleLog(`CreateGlobalTable: ${chalk.red(`Failed to write the global tables manifest. Error ${err.message || err}`)}`);
+  }
+}
+
+/**
+ * Get the prefix of the SSM parameters of the global tables: /<service>/<stage>/globalTables
+ * @param {Object} serverless The serverless
+ * @returns {string} Parameter name prefix
+ */
+const getParameterPrefix = function getParameterPrefix(serverless) {
+  return `/${serverless.service.getServiceName()}/${serverless.getProvider('aws').getStage()}/globalTables`;
+}
+
+/**
+ * Puts the table ARN and the latest stream ARN of each replica in the SSM parameters
+ * <prefix>/<table logical id>/tableArn and <prefix>/<table logical id>/streamArn of the region of the replica.
+ * @param {Object} awsCredentials AWS credentials object
+ * @param {string} parameterPrefix Prefix of the parameter names
+ * @param {Array} tables List of tables along with their replicas
+ * @param {Object} globalTablesOptions Global table options specified by user
+ * @param {Object} cli Serverless cli object
+ */
+const putReplicaParameters = async function putReplicaParameters(awsCredentials, parameterPrefix, tables, globalTablesOptions = {}, cli) {
+  const regionSettings = module.exports.getRegionSettings(globalTablesOptions);
+  for (let table of tables) {
+    for (let replica of table.replicas.filter(rp => rp.tableArn)) {
+      const ssm = new AWS.SSM({
+        region: replica.region,
+        credentials: module.exports.getRegionCredentials(awsCredentials.credentials, replica.region, regionSettings)
+      });
+      const values = { tableArn: replica.tableArn, streamArn: replica.streamArn };
+      for (let key of Object.keys(values).filter(k => values[k])) {
+        await module.exports.withRetries(() => ssm.putParameter({
+          Name: `${parameterPrefix}/${table.logicalId}/${key}`,
+          Description: `${key === 'tableArn' ? 'Table' : 'Latest stream'} ARN of the ${table.tableName} replica in ${replica.region}`,
+          Value: values[key],
+          Type: 'String',
+          Overwrite: true
+        }));
+      }
+    }
+    cli.consoleLog(`CreateGlobalTable: ${chalk.green(`Published the ARNs of the ${table.tableName} replicas under ${parameterPrefix}/${table.logicalId}`)}`);
+  }
+}
+
+/**
+ * Deletes the SSM parameters of the replicas of the tables in the source region and the replica regions.
+ * @param {Object} awsCredentials AWS credentials object
+ * @param {string} parameterPrefix Prefix of the parameter names
+ * @param {string} region AWS region in which source tables exist
+ * @param {Array} tableConfigs List of tables along with the regions of global table
+ * @param {Object} globalTablesOptions Global table options specified by user
+ * @param {Object} cli Serverless cli object
+ */
+const deleteReplicaParameters = async function deleteReplicaParameters(
+  awsCredentials, parameterPrefix, region, tableConfigs, globalTablesOptions = {}, cli
+) {
+  const regionSettings = module.exports.getRegionSettings(globalTablesOptions);
+  const namesByRegion = {};
+  tableConfigs.forEach(t => {
+    [region, ...t.regions].forEach(r => {
+      namesByRegion[r] = namesByRegion[r] || [];
+      namesByRegion[r].push(`${parameterPrefix}/${t.logicalId}/tableArn`, `${parameterPrefix}/${t.logicalId}/streamArn`);
+    });
+  });
+  for (let r of Object.keys(namesByRegion)) {
+    const ssm = new AWS.SSM({
+      region: r,
+      credentials: module.exports.getRegionCredentials(awsCredentials.credentials, r, regionSettings)
+    });
+    const names = [...new Set(namesByRegion[r])];
+    // parameters which don't exist are returned as invalid parameters instead of failing the call
+    for (let i = 0; i < names.length; i += 10) {
+      await module.exports.withRetries(() => ssm.deleteParameters({ Names: names.slice(i, i + 10) }));
+    }
+    cli.consoleLog(`CreateGlobalTable: ${chalk.yellow(`Deleted the global table parameters in ${r}`)}`);
+  }
+}
+
+/**
+ * Gets the replicas of the global tables after the setup, writes them to the manifest and, if `ssmParameters` is set,
+ * publishes their ARNs to SSM parameters in the region of each replica.
+ * Only the errors of the SSM parameters fail the setup.
+ * @param {Object} serverless The serverless
+ * @param {Object} awsCredentials AWS credentials object
+ * @param {string} region AWS region in which source tables exist
+ * @param {string} stackName Cloudformation stack name
+ * @param {Array} tableConfigs List of tables along with the regions and version of global table
+ * @param {Object} globalTablesOptions Global table options specified by user
+ */
+const publishReplicas = async function publishReplicas(
+  serverless, awsCredentials, region, stackName, tableConfigs, globalTablesOptions = {}
+) {
+  const writeManifest = globalTablesOptions.manifest !== false;
+  const putParameters = globalTablesOptions.ssmParameters === true;
+  if (!writeManifest && !putParameters) {
+    return;
+  }
+  let tables;
+  try {
+    tables = await module.exports.getReplicaManifest(awsCredentials, region, stackName, tableConfigs, globalTablesOptions);
+  } catch (err) {
+    if (putParameters) {
+      throw err;
+    }
+    serverless.cli.consoleLog(`CreateGlobalTable: ${chalk.red(`Failed to write the global tables manifest. Error ${err.message || err}`)}`);
+    return;
+  }
+  if (writeManifest) {
+    module.exports.writeReplicaManifest(serverless, region, stackName, tables, globalTablesOptions);
+  }
+  if (putParameters) {
+    await module.exports.putReplicaParameters(
+      awsCredentials, module.exports.getParameterPrefix(serverless), tables, globalTablesOptions, serverless.cli
+    );
+  }
+}
+
+/**
+ * Sets up the global tables and publishes their replicas. The replicas are published also when the setup of some of
+ * the tables failed, so that the manifest and the SSM parameters reflect the replicas as they are, and the error of
+ * the setup is thrown after.
+ * @param {Object} serverless The serverless
+ * @param {Object} awsCredentials AWS credentials object
+ * @param {string} region AWS region in which source tables exist
+ * @param {string} stackName Cloudformation stack name
+ * @param {Array} tableConfigs List of tables along with the regions and version of global table to setup
+ * @param {Object} globalTablesOptions Global table options specified by user
+ * @param {Array} publishedTableConfigs Optional list of tables to publish, defaults to the tables to setup
+ */
+const setupAndPublishReplicas = async function setupAndPublishReplicas(
+  serverless, awsCredentials, region, stackName, tableConfigs, globalTablesOptions, publishedTableConfigs = tableConfigs
+) {
+  let setupError;
+  try {
+    await module.exports.setupGlobalTables(awsCredentials, region, tableConfigs, globalTablesOptions, serverless.cli);
+  } catch (err) {
+    setupError = err;
+  }
+  try {
+    await module.exports.publishReplicas(serverless, awsCredentials, region, stackName, publishedTableConfigs, globalTablesOptions);
+  } catch (err) {
+    if (!setupError) {
+      throw err;
+    }
+    serverless.cli.consoleLog(`CreateGlobalTable: ${chalk.red(`Failed to publish the replicas. Error ${err.message || err}`)}`);
+  }
+  if (setupError) {
+    throw setupError;
+  }
+}
+
+/**
+ * Converts the AWS::DynamoDB::Table resource into AWS::DynamoDB::GlobalTable resource with a replica
+ * in each of the given regions.
+ * Provisioned write capacity is converted to auto scaling settings with the same minimum and maximum
+ * capacity, as global table resource supports only auto scaled write capacity.
+ * @param {Object} resource Cloudformation AWS::DynamoDB::Table resource
+ * @param {string} region AWS region in which service is deployed
+ * @param {Array} regions List of regions in which replicas need to be created
+ * @param {Object} kmsKeys Map of region to KMS key ARN or alias used to encrypt the replica in that region
+ * @returns {Object} Cloudformation AWS::DynamoDB::GlobalTable resource
+ */
+const getGlobalTableResource = function getGlobalTableResource(resource, region, regions, kmsKeys = {}) {
+  const properties = resource.Properties || {};
+  const provisioned = properties.BillingMode !== 'PAY_PER_REQUEST';
+  const getWriteSettings = throughput => ({
+    WriteCapacityAutoScalingSettings: {
+      MinCapacity: throughput.WriteCapacityUnits,
+      MaxCapacity: throughput.WriteCapacityUnits,
+      TargetTrackingScalingPolicyConfiguration: { TargetValue: GLOBALTABLEWRITETARGETVALUE }
+    }
+  });
+
+  const globalTableProperties = {};
+  ['TableName', 'AttributeDefinitions', 'KeySchema', 'LocalSecondaryIndexes', 'TimeToLiveSpecification'].forEach(key => {
+    if (properties[key] !== undefined) {
+      globalTableProperties[key] = properties[key];
+    }
+  });
+  globalTableProperties.BillingMode = provisioned ? 'PROVISIONED' : 'PAY_PER_REQUEST';
+  globalTableProperties.StreamSpecification = {
+    StreamViewType: get(properties, 'StreamSpecification.StreamViewType', 'NEW_AND_OLD_IMAGES')
+  };
+  if (properties.SSESpecification) {
+    globalTableProperties.SSESpecification = {
+      SSEEnabled: properties.SSESpecification.SSEEnabled,
+      SSEType: properties.SSESpecification.SSEType
+    };
+  }
+  if (provisioned && properties.ProvisionedThroughput) {
+    globalTableProperties.WriteProvisionedThroughputSettings = getWriteSettings(properties.ProvisionedThroughput);
+  }
+  if (properties.GlobalSecondaryIndexes) {
+    globalTableProperties.GlobalSecondaryIndexes = properties.GlobalSecondaryIndexes.map(gsi => {
+      const index = { IndexName: gsi.IndexName, KeySchema: gsi.KeySchema, Projection: gsi.Projection };
+      if (provisioned && gsi.ProvisionedThroughput) {
+        index.WriteProvisionedThroughputSettings = getWriteSettings(gsi.ProvisionedThroughput);
+      }
+      return index;
+    });
+  }
+
+  const replicaProperties = {};
+  REPLICAPROPERTIES.forEach(key => {
+    if (properties[key] !== undefined) {
+      replicaProperties[key] = properties[key];
+    }
+  });
+  if (provisioned && properties.ProvisionedThroughput) {
+    replicaProperties.ReadProvisionedThroughputSettings = {
+      ReadCapacityUnits: properties.ProvisionedThroughput.ReadCapacityUnits
+    };
+  }
+  const provisionedIndexes = (properties.GlobalSecondaryIndexes || []).filter(gsi => gsi.ProvisionedThroughput);
+  if (provisioned && provisionedIndexes.length) {
+    replicaProperties.GlobalSecondaryIndexes = provisionedIndexes.map(gsi => ({
+      IndexName: gsi.IndexName,
+      ReadProvisionedThroughputSettings: { ReadCapacityUnits: gsi.ProvisionedThroughput.ReadCapacityUnits }
+    }));
+  }
+
+  globalTableProperties.Replicas = [region].concat(regions.filter(r => r !== region)).map(r => {
+    const replica = Object.assign({ RegionName: r }, replicaProperties);
+    if (r === region) {
+      // the kms key and kinesis stream are specific to the region of the source table
+      if (properties.SSESpecification && properties.SSESpecification.KMSMasterKeyId) {
+        replica.SSESpecification = { KMSMasterKeyId: properties.SSESpecification.KMSMasterKeyId };
+      }
+      if (properties.KinesisStreamSpecification) {
+        replica.KinesisStreamSpecification = properties.KinesisStreamSpecification;
+      }
+    } else if (kmsKeys[r] && properties.SSESpecification && properties.SSESpecification.SSEType === 'KMS') {
+      replica.SSESpecification = { KMSMasterKeyId: kmsKeys[r] };
+    }
+    return replica;
+  });
+
+  return Object.assign({}, resource, {
+    Type: 'AWS::DynamoDB::GlobalTable',
+    Properties: globalTableProperties
+  });
+}
+
+/**
+ * The compile global table function.
+ * Rewrites the dynamodb tables which need to be setup as global tables into AWS::DynamoDB::GlobalTable
+ * resources (if useGlobalTableResource is true), so that the replicas are managed by cloudformation.
+ *
+ * @param      {Object}  serverless  The serverless
+ */
+const compileGlobalTables = function compileGlobalTables(serverless) {
+  const globalTablesOptions = get(serverless, 'service.custom.globalTables');
+  if (!globalTablesOptions || globalTablesOptions.useGlobalTableResource !== true) {
+    return;
+  }
+  const region = serverless.getProvider('aws').getRegion();
+  const cli = serverless.cli;
+
+  // tables can be part of the compiled template or of the custom resources which are merged into it later
+  const resourcesList = [
+    get(serverless, 'service.provider.compiledCloudFormationTemplate.Resources'),
+    get(serverless, 'service.resources.Resources')
+  ].filter(resources => resources);
+  resourcesList.forEach(resources => {
+    const tables = Object.keys(resources)
+      .filter(logicalId => resources[logicalId] && resources[logicalId].Type === 'AWS::DynamoDB::Table')
+      .map(logicalId => {
+        const tableName = get(resources[logicalId], 'Properties.TableName');
+        return { logicalId, tableName: typeof tableName === 'string' ? tableName : undefined };
+      });
+    module.exports.getTableConfigs(tables, globalTablesOptions).forEach(tableConfig => {
+      resources[tableConfig.logicalId] = module.exports.getGlobalTableResource(
+        resources[tableConfig.logicalId], region, tableConfig.regions, globalTablesOptions.kmsKeys
+      );
+      cli.consoleLog(`CreateGlobalTable: ${chalk.yellow(`Compiled ${tableConfig.logicalId} into global table with replicas in ${tableConfig.regions.join(', ')}...`)}`)
+    });
+  });
+}
+
+/**
+ * The create global table function.
+ * This function will:
+ * 1. get the list of tables from stack resources.
+ * 2. get the custom settings specified by user for setting up global tables (per table).
+ * 3. deploy cfn stacks in the regions specified by the user (if createSTack is true)
+ * 4. setup the global table relation.
+ *
+ * @param      {Object}  serverless  The serverless
+ */
+const createGlobalDynamodbTable = async function createGlobalDynamodbTable(serverless) {
+  try {
+    serverless.cli.consoleLog(`CreateGlobalTable: ${chalk.yellow('Starting setting up global tables...')}`)
+    const { awsCredentials, region, stackName, cli, globalTablesOptions } = module.exports.getPluginContext(serverless);
+    module.exports.configureRetries(globalTablesOptions);
+    if (!globalTablesOptions || Object.keys(globalTablesOptions).length === 0) {
+      cli.consoleLog(`CreateGlobalTable: ${chalk.yellow('Global Table configuration missing, skipping creation...')}`)
+      return
+    }
+    if (globalTablesOptions.useGlobalTableResource === true) {
+      cli.consoleLog(`CreateGlobalTable: ${chalk.yellow('Global tables are managed by cloudformation, skipping creation...')}`)
+      return
+    }
+
+    const cfn = new AWS.CloudFormation({
+      credentials: awsCredentials.credentials,
+      region,
+    });
+
+    const tableConfigs = await module.exports.getGlobalTableConfigs(cfn, stackName, globalTablesOptions, cli);
+    if (!tableConfigs.length) {
+      return;
+    }
+
+    const createStack = globalTablesOptions.createStack !== false;
+    if (createStack) {
+      const cfnTemplate = serverless.service.provider.compiledCloudFormationTemplate;
+      const sourceBucket = await module.exports.getSourceDeploymentBucket(serverless, cfn, stackName);
+      const stackSettings = await module.exports.getStackSettings(cfn, stackName, cli);
+      await module.exports.deployRegionalStacks(
+        awsCredentials, cfnTemplate, stackName, module.exports.getRegionsFromTableConfigs(tableConfigs), cli,
+        globalTablesOptions, { region, bucket: sourceBucket, stackSettings }
+      );
+    }
+    await module.exports.setupAndPublishReplicas(serverless, awsCredentials, region, stackName, tableConfigs, globalTablesOptions);
+  } catch (error) {
+    module.exports.handleSetupError(serverless, error, 'Failed to setup global table');
+  }
+}
+
+/**
+ * The sync global table function.
+ * Sets up the global table relation of the tables again, without deploying any stack, so that
+ * a half finished replica setup can be completed.
+ *
+ * @param      {Object}  serverless  The serverless
+ */
+const syncGlobalDynamodbTable = async function syncGlobalDynamodbTable(serverless) {
+  try {
+    serverless.cli.consoleLog(`CreateGlobalTable: ${chalk.yellow('Starting syncing global tables...')}`)
+    const { awsCredentials, region, stackName, cli, globalTablesOptions } = module.exports.getPluginContext(serverless);
+    module.exports.configureRetries(globalTablesOptions);
+    if (!globalTablesOptions || Object.keys(globalTablesOptions).length === 0) {
+      cli.consoleLog(`CreateGlobalTable: ${chalk.yellow('Global Table configuration missing, skipping sync...')}`)
+      return
+    }
+
+    const cfn = new AWS.CloudFormation({
+      credentials: awsCredentials.credentials,
+      region,
+    });
+
+    const tableConfigs = await module.exports.getGlobalTableConfigs(cfn, stackName, globalTablesOptions, cli);
+    if (!tableConfigs.length) {
+      return;
+    }
+    await module.exports.setupAndPublishReplicas(serverless, awsCredentials, region, stackName, tableConfigs, globalTablesOptions);
+  } catch (error) {
+    module.exports.handleSetupError(serverless, error, 'Failed to sync global table');
+  }
+}
+
+/**
+ * Get the template of the deployed cloudformation stack.
+ * @param {Object} cfn AWS Cloudformation object
+ * @param {string} stackName Cloudformation stack name
+ * @returns {Object} Cloudformation template
+ */
+const getDeployedTemplate = async function getDeployedTemplate(cfn, stackName) {
+  const resp = await module.exports.withRetries(() => cfn.getTemplate({ StackName: stackName, TemplateStage: 'Processed' }));
+  return JSON.parse(resp.TemplateBody);
+}
+
+/**
+ * The add region function.
+ * Adds a replica of the global tables in one more region without changing the service config.
+ * If the stack is used to create the tables, the deployed template of the service stack is
+ * deployed in the new region first.
+ *
+ * @param      {Object}  serverless  The serverless
+ * @param      {string}  newRegion   The region in which replicas need to be added
+ * @param      {string}  table       Optional logical id or name of the only table to add the replica for
+ */
+const addRegionToGlobalDynamodbTable = async function addRegionToGlobalDynamodbTable(serverless, newRegion, table) {
+  try {
+    serverless.cli.consoleLog(`CreateGlobalTable: ${chalk.yellow(`Starting adding ${newRegion} region to global tables...`)}`)
+    const { awsCredentials, region, stackName, cli, globalTablesOptions } = module.exports.getPluginContext(serverless);
+    module.exports.configureRetries(globalTablesOptions);
+    if (!globalTablesOptions || Object.keys(globalTablesOptions).length === 0) {
+      cli.consoleLog(`CreateGlobalTable: ${chalk.yellow('Global Table configuration missing, skipping adding region...')}`)
+      return
+    }
+    if (!newRegion || newRegion === region) {
+      cli.consoleLog(`CreateGlobalTable: ${chalk.red('Please provide a region other than the service region to add.')}`)
+      return
+    }
+
+    const cfn = new AWS.CloudFormation({
+      credentials: awsCredentials.credentials,
+      region,
+    });
+
+    const allTableConfigs = await module.exports.getGlobalTableConfigs(cfn, stackName, globalTablesOptions, cli);
+    let tableConfigs = allTableConfigs;
+    if (table) {
+      tableConfigs = tableConfigs.filter(t => t.logicalId === table || t.tableName === table);
+    }
+    if (!tableConfigs.length) {
+      cli.consoleLog(`CreateGlobalTable: ${chalk.yellow('No global table found to add the region to.')}`)
+      return;
+    }
+    tableConfigs = tableConfigs.map(t => Object.assign({}, t, {
+      regions: t.regions.includes(newRegion) ? t.regions : t.regions.concat(newRegion)
+    }));
+
+    const createStack = globalTablesOptions.createStack !== false;
+    if (createStack) {
+      const template = await module.exports.getDeployedTemplate(cfn, stackName);
+      const sourceBucket = await module.exports.getSourceDeploymentBucket(serverless, cfn, stackName);
+      const stackSettings = await module.exports.getStackSettings(cfn, stackName, cli);
+      await module.exports.deployRegionalStacks(
+        awsCredentials, template, stackName, [newRegion], cli, globalTablesOptions, { region, bucket: sourceBucket, stackSettings }
+      );
+    }
+    // the manifest lists every global table, including the ones the region wasn't added to
+    const manifestTableConfigs = allTableConfigs.map(t => tableConfigs.find(tc => tc.tableName === t.tableName) || t);
+    await module.exports.setupAndPublishReplicas(
+      serverless, awsCredentials, region, stackName, tableConfigs, globalTablesOptions, manifestTableConfigs
+    );
+    cli.consoleLog(`CreateGlobalTable: ${chalk.yellow(`Added ${newRegion} region. Please add it to the global table regions in serverless.yml to keep it in place on next deploy.`)}`)
+  } catch (error) {
+    module.exports.handleSetupError(serverless, error, 'Failed to add region to global table');
+  }
+}
+
+/**
+ * Get the replica regions of global table and their status.
+ * @param {Object} dynamodb AWS Dynamodb object
+ * @param {string} region AWS region in which source table exists
+ * @param {string} tableName Dynamodb table name
+ * @param {string} version It's version of global table
+ * @returns {Array} List of replica regions along with their status.
+ */
+const getGlobalTableReplicas = async function getGlobalTableReplicas(dynamodb, region, tableName, version) {
+  if (version === 'v2') {
+    const resp = await module.exports.withRetries(() => dynamodb.describeTable({ TableName: tableName }));
+    const replicas = [{ region, status: resp.Table.TableStatus }];
+    (resp.Table.Replicas || []).forEach(r => {
+      if (r.RegionName !== region) {
+        replicas.push({ region: r.RegionName, status: r.ReplicaStatus });
+      }
+    });
+    return replicas;
+  }
+  try {
+    const resp = await module.exports.withRetries(() => dynamodb.describeGlobalTable({ GlobalTableName: tableName }));
+    return resp.GlobalTableDescription.ReplicationGroup.map(rg => ({
+      region: rg.RegionName,
+      status: rg.ReplicaStatus || resp.GlobalTableDescription.GlobalTableStatus
+    }));
+  } catch (e) {
+    if (e.code !== 'GlobalTableNotFoundException') {
+      throw e
+    }
+    return [];
+  }
+}
+
+/**
+ * The global table status function.
+ * Prints the replica regions and their status for each of the global tables.
+ *
+ * @param      {Object}  serverless  The serverless
+ * @returns    {Array}   List of tables along with their replica regions and status.
+ */
+const statusGlobalDynamodbTable = async function statusGlobalDynamodbTable(serverless) {
+  try {
+    const { awsCredentials, region, stackName, cli, globalTablesOptions } = module.exports.getPluginContext(serverless);
+    module.exports.configureRetries(globalTablesOptions);
+    if (!globalTablesOptions || Object.keys(globalTablesOptions).length === 0) {
+      cli.consoleLog(`CreateGlobalTable: ${chalk.yellow('Global Table configuration missing...')}`)
+      return
+    }
+
+    const cfn = new AWS.CloudFormation({
+      credentials: awsCredentials.credentials,
+      region,
+    });
+
+    const dynamodb = new AWS.DynamoDB({
+      credentials: awsCredentials.credentials,
+      region,
+    });
+
+    const tableConfigs = await module.exports.getGlobalTableConfigs(cfn, stackName, globalTablesOptions, cli);
+    const tablesStatus = [];
+    for (let tableConfig of tableConfigs) {
+      const replicas = await module.exports.getGlobalTableReplicas(dynamodb, region, tableConfig.tableName, tableConfig.version);
+      tableConfig.regions.forEach(r => {
+        if (!replicas.find(rp => rp.region === r)) {
+          replicas.push({ region: r, status: 'NOT_CREATED' });
+        }
+      });
+      tablesStatus.push({
+        tableName: tableConfig.tableName,
+        version: tableConfig.version === 'v2' ? 'v2' : 'v1',
+        replicas: replicas.map(rp => Object.assign(rp, {
+          configured: rp.region === region || tableConfig.regions.includes(rp.region)
+        }))
+      });
+    }
+
+    const lines = ['Global tables status:'];
+    tablesStatus.forEach(t => {
+      lines.push(`  Table ${t.tableName} (${t.version}):`);
+      t.replicas.forEach(rp => {
+        lines.push(`    ${rp.region}: ${rp.status}${rp.region === region ? ' (source)' : ''}${rp.configured ? '' : ' (not configured)'}`);
+      });
+    });
+    cli.consoleLog(`CreateGlobalTable: ${chalk.yellow(lines.join('\n'))}`);
+    return tablesStatus;
+  } catch (error) {
+    serverless.cli.consoleLog(`CreateGlobalTable: ${chalk.red(`Failed to get global table status. Error ${error.message || error}`)}`)
+  }
+}
+
+/**
+ * The remove global table function, invoked before the service stack is removed.
+ * Detaches the replicas of the global tables so that the tables can be deleted along with the stacks.
+ * For version 2019.11.21 the replica tables are deleted, for version 2017.11.29 the replica tables created
+ * without the regional stacks (createStack is false) are deleted after they are detached.
+ *
+ * @param      {Object}  serverless  The serverless
+ */
+const removeGlobalDynamodbTable = async function removeGlobalDynamodbTable(serverless) {
+  try {
+    const { awsCredentials, region, stackName, cli, globalTablesOptions } = module.exports.getPluginContext(serverless);
+    module.exports.configureRetries(globalTablesOptions);
+    if (!globalTablesOptions || Object.keys(globalTablesOptions).length === 0) {
+      return
+    }
+    cli.consoleLog(`CreateGlobalTable: ${chalk.yellow('Starting removing global table replicas...')}`)
+
+    const cfn = new AWS.CloudFormation({
+      credentials: awsCredentials.credentials,
+      region,
+    });
+
+    const dynamodb = new AWS.DynamoDB({
+      credentials: awsCredentials.credentials,
+      region,
+    });
+
+    const tableConfigs = await module.exports.getGlobalTableConfigs(cfn, stackName, globalTablesOptions, cli);
+    const regionSettings = module.exports.getRegionSettings(globalTablesOptions);
+    for (let tableConfig of tableConfigs) {
+      const replicas = await module.exports.getGlobalTableReplicas(dynamodb, region, tableConfig.tableName, tableConfig.version);
+      const replicaRegions = replicas.map(rp => rp.region).filter(r => r !== region);
+      if (replicaRegions.length) {
+        await module.exports.removeGlobalTableReplicas(
+          dynamodb, tableConfig.tableName, replicaRegions, tableConfig.version, cli
+        );
+        if (tableConfig.version !== 'v2' && globalTablesOptions.createStack === false) {
+          await module.exports.deleteReplicaTables(
+            dynamodb, awsCredentials.credentials, region, tableConfig.tableName, replicaRegions, regionSettings, cli
+          );
+        }
+      }
+    }
+    if (globalTablesOptions.alarms) {
+      const cloudwatch = new AWS.CloudWatch({
+        credentials: awsCredentials.credentials,
+        region,
+      });
+      for (let tableConfig of tableConfigs) {
+        await module.exports.deleteReplicaAlarms(cloudwatch, tableConfig.tableName, [], cli);
+      }
+    }
+    if (globalTablesOptions.ssmParameters === true && tableConfigs.length) {
+      await module.exports.deleteReplicaParameters(
+        awsCredentials, module.exports.getParameterPrefix(serverless), region, tableConfigs, globalTablesOptions, cli
+      );
+    }
+  } catch (error) {
+    serverless.cli.consoleLog(`CreateGlobalTable: ${chalk.red(`Failed to remove global table replicas. Error ${error.message || error}`)}`)
+  }
+}
+
+/**
+ * The remove regional stacks function, invoked after the service stack is removed.
+ * Deletes the copies of the service stack deployed in the global table regions (if createStack is true).
+ *
+ * @param      {Object}  serverless  The serverless
+ */
+const removeRegionalStacks = async function removeRegionalStacks(serverless) {
+  try {
+    const { awsCredentials, region, stackName, cli, globalTablesOptions } = module.exports.getPluginContext(serverless);
+    module.exports.configureRetries(globalTablesOptions);
+    if (!globalTablesOptions || Object.keys(globalTablesOptions).length === 0 ||
+      globalTablesOptions.createStack === false || globalTablesOptions.useGlobalTableResource === true) {
+      return
+    }
+
+    const regions = module.exports.getConfiguredRegions(globalTablesOptions).filter(r => r !== region);
+    const regionSettings = module.exports.getRegionSettings(globalTablesOptions);
+    for (let stackRegion of regions) {
+      const cfn = new AWS.CloudFormation({
+        region: stackRegion,
+        credentials: module.exports.getRegionCredentials(awsCredentials.credentials, stackRegion, regionSettings)
+      });
+      if (!await module.exports.stackExists(cfn, stackName)) {
+        continue;
+      }
+      // the copied artifacts and the uploaded template would make the deletion of the bucket fail
+      const bucketName = await module.exports.getStackDeploymentBucket(cfn, stackName);
+      if (bucketName) {
+        const s3 = new AWS.S3({
+          region: stackRegion,
+          credentials: module.exports.getRegionCredentials(awsCredentials.credentials, stackRegion, regionSettings)
+        });
+        await module.exports.emptyDeploymentBucket(s3, bucketName, stackRegion, cli);
+      }
+      // termination protection set with the stack settings would make the deletion fail
+      await module.exports.applyStackProtection(cfn, stackName, { terminationProtection: false });
+      await module.exports.deleteCfnStack(cfn, stackName, stackRegion, cli);
+    }
+  } catch (error) {
+    serverless.cli.consoleLog(`CreateGlobalTable: ${chalk.red(`Failed to remove regional stacks. Error ${error.message || error}`)}`)
+  }
+}
+
+/**
+ * Checks if the version 2017.11.29 global table meets the preconditions of upgrading to version 2019.11.21:
+ * all the replicas are active, have streams with new and old images and have the same global secondary
+ * indexes, write capacity settings and time to live settings as the source table.
+ * @param {Object} creds AWS credentials object
+ * @param {string} region AWS region in which source table exists
+ * @param {string} tableName Dynamodb table name
+ * @param {Array} replicaRegions List of regions in the replication group of global table
+ * @param {Object} regionSettings Map of region to the credential settings of the region
+ * @returns {Array} List of the preconditions which are not met.
+ */
+const getUpgradeIssues = async function getUpgradeIssues(creds, region, tableName, replicaRegions, regionSettings = {}) {
+  const replicas = await Promise.all([region].concat(replicaRegions.filter(r => r !== region)).map(async r => {
+    const ddb = new AWS.DynamoDB({
+      credentials: module.exports.getRegionCredentials(creds, r, regionSettings),
+      region: r,
+    });
+    const tableDef = await module.exports.withRetries(() => ddb.describeTable({ TableName: tableName }));
+    const ttl = await module.exports.withRetries(() => ddb.describeTimeToLive({ TableName: tableName }));
+    const billingModeSummary = tableDef.Table.BillingModeSummary;
+    return {
+      region: r,
+      table: tableDef.Table,
+      billingMode: billingModeSummary && billingModeSummary.BillingMode === 'PAY_PER_REQUEST' ? 'PAY_PER_REQUEST' : 'PROVISIONED',
+      ttl: ttl.TimeToLiveDescription || {}
+    };
+  }));
+  const [source, ...others] = replicas;
+  const getIndexNames = t => (t.GlobalSecondaryIndexes || []).map(gsi => gsi.IndexName).sort().join(',');
+  const getWriteCapacity = t => (t.ProvisionedThroughput || {}).WriteCapacityUnits;
+  const isTtlEnabled = ttl => ttl.TimeToLiveStatus === 'ENABLED' || ttl.TimeToLiveStatus === 'ENABLING';
+
+  const issues = [];
+  replicas.forEach(rp => {
+    if (rp.table.TableStatus !== 'ACTIVE') {
+      issues.push(`Table ${tableName} in ${rp.region} is not active (${rp.table.TableStatus})`);
+    }
+    const stream = rp.table.StreamSpecification;
+    if (!stream || !stream.StreamEnabled || stream.StreamViewType !== 'NEW_AND_OLD_IMAGES') {
+      issues.push(`Table ${tableName} in ${rp.region} does not have streams enabled with NEW_AND_OLD_IMAGES`);
+    }
+  });
+  others.forEach(rp => {
+    if (getIndexNames(rp.table) !== getIndexNames(source.table)) {
+      issues.push(`Table ${tableName} in ${rp.region} does not have the same global secondary indexes as in ${region}`);
+    }
+    if (rp.billingMode !== source.billingMode ||
+      (source.billingMode === 'PROVISIONED' && getWriteCapacity(rp.table) !== getWriteCapacity(source.table))) {
+      issues.push(`Table ${tableName} in ${rp.region} does not have the same write capacity settings as in ${region}`);
+    }
+    if (isTtlEnabled(rp.ttl) !== isTtlEnabled(source.ttl) || rp.ttl.AttributeName !== source.ttl.AttributeName) {
+      issues.push(`Table ${tableName} in ${rp.region} does not have the same time to live settings as in ${region}`);
+    }
+  });
+  return issues;
+}
+
+/**
+ * Waits (up to the configured timeout) until the global table is upgraded to version 2019.11.21 and the table is active.
+ * @param {Object} dynamodb AWS Dynamodb object
+ * @param {string} tableName Dynamodb table name
+ * @param {Object} cli Serverless cli object
+ * @returns {boolean} True if table is upgraded, else false.
+ */
+const waitForGlobalTableUpgrade = async function waitForGlobalTableUpgrade(dynamodb, tableName, cli) {
+  let dotPrinted = false;
+  let upgraded = false;
+  try {
+    upgraded = await module.exports.pollUntil(async () => {
+      const resp = await dynamodb.describeTable({ TableName: tableName }).promise();
+      return resp.Table.GlobalTableVersion === GLOBALTABLEV2VERSION && resp.Table.TableStatus === 'ACTIVE' ? true : undefined;
+    }, `upgrade of global table ${tableName}`, () => {
+      cli.printDot();
+      dotPrinted = true;
+    });
+  } catch (err) {
+    if (!/^Timed out/.test(err.message)) {
+      throw err;
+    }
+  }
+  if (dotPrinted) {
+    cli.consoleLog('\n');
+  }
+  return upgraded;
+}
+
+/**
+ * Upgrades the global table from version 2017.11.29 to 2019.11.21.
+ * AWS doesn't provide an API to start the upgrade, so once the preconditions are met the upgrade needs to be
+ * started from the DynamoDB console, and this function waits for it to finish.
+ * @param {Object} dynamodb AWS Dynamodb object
+ * @param {Object} creds AWS credentials object
+ * @param {string} region AWS region in which source table exists
+ * @param {string} tableName Dynamodb table name
+ * @param {Object} cli Serverless cli object
+ * @param {Object} regionSettings Map of region to the credential settings of the region
+ * @returns {boolean} True if table is upgraded or already on version 2019.11.21, else false.
+ */
+const upgradeGlobalTable = async function upgradeGlobalTable(dynamodb, creds, region, tableName, cli, regionSettings = {}) {
+  let replicaRegions;
+  try {
+    const resp = await module.exports.withRetries(() => dynamodb.describeGlobalTable({ GlobalTableName: tableName }));
+    replicaRegions = resp.GlobalTableDescription.ReplicationGroup.map(rg => rg.RegionName);
+  } catch (e) {
+    if (e.code !== 'GlobalTableNotFoundException') {
+      throw e
+    }
+    const tableDef = await module.exports.withRetries(() => dynamodb.describeTable({ TableName: tableName }));
+    if (tableDef.Table.GlobalTableVersion === GLOBALTABLEV2VERSION) {
+      cli.consoleLog(`CreateGlobalTable: ${chalk.yellow(`Global table ${tableName} is already on version ${GLOBALTABLEV2VERSION}...`)}`)
+      return true;
+    }
+    cli.consoleLog(`CreateGlobalTable: ${chalk.yellow(`Table ${tableName} is not a global table (Version 2017.11.29). Skipping upgrade...`)}`)
+    return false;
+  }
+
+  cli.consoleLog(`CreateGlobalTable: ${chalk.yellow(`Checking global table ${tableName} in ${replicaRegions.join(', ')} can be upgraded...`)}`)
+  const issues = await module.exports.getUpgradeIssues(creds, region, tableName, replicaRegions, regionSettings);
+  if (issues.length) {
+    cli.consoleLog(`CreateGlobalTable: ${chalk.red(`Global table ${tableName} can't be upgraded:\n  ${issues.join('\n  ')}`)}`)
+    return false;
+  }
+
+  cli.consoleLog(`CreateGlobalTable: ${chalk.yellow(`Global table ${tableName} is ready for the upgrade. Please start it from the DynamoDB console ` +
+    `(table ${tableName} in ${region} > Global tables > Update version), as AWS doesn't provide an API for it. Waiting for the upgrade to finish...`)}`)
+  const upgraded = await module.exports.waitForGlobalTableUpgrade(dynamodb, tableName, cli);
+  if (!upgraded) {
+    cli.consoleLog(`CreateGlobalTable: ${chalk.red(`Global table ${tableName} has not been upgraded in time. Please check the table in console and retry.`)}`)
+    return false;
+  }
+  cli.consoleLog(`CreateGlobalTable: ${chalk.yellow(`Global table ${tableName} has been upgraded to version ${GLOBALTABLEV2VERSION}. ` +
+    'Please set its version to \'v2\' in the global table options.')}`)
+  return true;
+}
+
+/**
+ * The upgrade global table function.
+ * Upgrades each of the global tables from version 2017.11.29 to 2019.11.21.
+ *
+ * @param      {Object}  serverless  The serverless
+ */
+const upgradeGlobalDynamodbTable = async function upgradeGlobalDynamodbTable(serverless) {
+  try {
+    const { awsCredentials, region, stackName, cli, globalTablesOptions } = module.exports.getPluginContext(serverless);
+    module.exports.configureRetries(globalTablesOptions);
+    if (!globalTablesOptions || Object.keys(globalTablesOptions).length === 0) {
+      cli.consoleLog(`CreateGlobalTable: ${chalk.yellow('Global Table configuration missing, skipping upgrade...')}`)
+      return
+    }
+
+    const cfn = new AWS.CloudFormation({
+      credentials: awsCredentials.credentials,
+      region,
+    });
+
+    const dynamodb = new AWS.DynamoDB({
+      credentials: awsCredentials.credentials,
+      region,
+    });
+
+    const tableConfigs = await module.exports.getGlobalTableConfigs(cfn, stackName, globalTablesOptions, cli);
+    const regionSettings = module.exports.getRegionSettings(globalTablesOptions);
+    for (let tableConfig of tableConfigs) {
+      await module.exports.upgradeGlobalTable(dynamodb, awsCredentials.credentials, region, tableConfig.tableName, cli, regionSettings);
+    }
+  } catch (error) {
+    serverless.cli.consoleLog(`CreateGlobalTable: ${chalk.red(`Failed to upgrade global table. Error ${error.message || error}`)}`)
+  }
+}
+
+/**
+ * Checks if the cloudformation stack exists in the given region.
+ * @param {Object} cfn AWS Cloudformation object
+ * @param {string} stackName Cloudformation stack name
+ * @returns {boolean} True if the stack exists, else false.
+ */
+const stackExists = async function stackExists(cfn, stackName) {
+  try {
+    await module.exports.withRetries(() => cfn.describeStacks({ StackName: stackName }));
+    return true;
+  } catch (err) {
+    if (err.code === 'ValidationError' && /does not exist/.test(err.message)) {
+      return false;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Builds the list of changes that would be made to setup the global table, using only
+ * read-only describe calls.
+ * @param {Object} dynamodb AWS Dynamodb object
+ * @param {string} region AWS region in which source table exists
+ * @param {Object} tableConfig Table name along with the regions and version of global table to setup
+ * @param {boolean} createStack flag indicating if the tables are created using cloudformation
+ * @param {boolean} pruneRegions flag indicating if replicas in regions not specified anymore need to be removed
+ * @param {Object} cli Serverless cli object
+ * @param {Object} options AWS credentials (credentials) and credential settings of each region (regionSettings),
+ * used to describe the existing replica tables
+ * @returns {Object} The table plan with the action and AWS calls for each region.
+ */
+const getTablePlan = async function getTablePlan(dynamodb, region, tableConfig, createStack, pruneRegions, cli, options = {}) {
+  const { tableName, regions, version } = tableConfig;
+  const { missingRegions, addingNewRegions, extraRegions = [] } = await module.exports.getRegionsToCreateGlobalTablesIn(
+    dynamodb, region, regions, tableName, version, cli
+  );
+  const tablePlan = {
+    tableName,
+    version: version === 'v2' ? 'v2' : 'v1',
+    regions: []
+  };
+  const syncReplicas = !createStack && version !== 'v2';
+  const sourceTable = syncReplicas && regions.some(r => r !== region && !missingRegions.includes(r)) ?
+    (await module.exports.withRetries(() => dynamodb.describeTable({ TableName: tableName }))).Table : undefined;
+  for (let r of regions) {
+    if (missingRegions.includes(r)) {
+      const calls = [];
+      if (version === 'v2') {
+        calls.push('dynamodb.updateTable (ReplicaUpdates: Create)');
+      } else {
+        if (!createStack) {
+          calls.push('dynamodb.createTable');
+        }
+        calls.push(addingNewRegions ? 'dynamodb.updateGlobalTable (ReplicaUpdates: Create)' : 'dynamodb.createGlobalTable');
+      }
+      tablePlan.regions.push({ region: r, action: 'create', calls });
+    } else if (!sourceTable || r === region) {
+      tablePlan.regions.push({ region: r, action: 'none', calls: [] });
+    } else {
+      // the changes made to the source table are applied to the existing replica tables
+      const credentials = module.exports.getRegionCredentials(options.credentials, r, options.regionSettings);
+      const updates = await module.exports.getReplicaSyncUpdates(
+        new AWS.DynamoDB({ credentials, region: r }), new AWS.ApplicationAutoScaling({ credentials, region: r }), sourceTable
+      );
+      tablePlan.regions.push({
+        region: r,
+        action: updates.length ? 'update' : 'none',
+        calls: updates.map(u => `dynamodb.updateTable (${Object.keys(u).filter(k => k !== 'TableName').join(', ')})`)
+      });
+    }
+  }
+  extraRegions.forEach(r => {
+    if (!pruneRegions) {
+      tablePlan.regions.push({ region: r, action: 'keep', calls: [] });
+      return;
+    }
+    tablePlan.regions.push({
+      region: r,
+      action: 'delete',
+      calls: [version === 'v2' ? 'dynamodb.updateTable (ReplicaUpdates: Delete)' : 'dynamodb.updateGlobalTable (ReplicaUpdates: Delete)']
+    });
+  });
+  return tablePlan;
+}
+
+/**
+ * Prints the global table plan.
+ * @param {Object} plan The plan with the stack and table changes
+ * @param {Object} cli Serverless cli object
+ */
+const printGlobalTablesPlan = function printGlobalTablesPlan(plan, cli) {
+  const lines = ['Global tables plan (no changes have been made):'];
+  if (plan.stacks.length) {
+    lines.push('  Stacks:');
+    plan.stacks.forEach(s => lines.push(`    ${s.action === 'create' ? '+' : '~'} ${s.region}: ${s.action} stack ${s.stackName}`));
+  }
+  plan.tables.forEach(t => {
+    lines.push(`  Table ${t.tableName} (${t.version}):`);
+    t.regions.forEach(r => {
+      if (r.action === 'none') {
+        lines.push(`    = ${r.region}: replica already exists`);
+      } else if (r.action === 'keep') {
+        lines.push(`    = ${r.region}: replica is not specified anymore, set pruneRegions to remove it`);
+      } else if (r.action === 'delete') {
+        lines.push(`    - ${r.region}: ${r.calls.join(', ')}`);
+      } else if (r.action === 'update') {
+        lines.push(`    ~ ${r.region}: ${r.calls.join(', ')}`);
+      } else {
+        lines.push(`    + ${r.region}: ${r.calls.join(', ')}`);
+      }
+    });
+  });
+  cli.consoleLog(`CreateGlobalTable: ${chalk.yellow(lines.join('\n'))}`);
+}
+
+/**
+ * The plan global table function.
+ * Works out the stacks that would be created/updated and the global table replicas that would be
+ * added without making any change, and prints them per table and region.
+ *
+ * @param      {Object}  serverless  The serverless
+ * @returns    {Object}  The plan with the stack and table changes.
+ */
+const planGlobalDynamodbTable = async function planGlobalDynamodbTable(serverless) {
+  try {
+    const { awsCredentials, region, stackName, cli, globalTablesOptions } = module.exports.getPluginContext(serverless);
+    module.exports.configureRetries(globalTablesOptions);
+    if (!globalTablesOptions || Object.keys(globalTablesOptions).length === 0) {
+      cli.consoleLog(`CreateGlobalTable: ${chalk.yellow('Global Table configuration missing, nothing to plan...')}`)
+      return
+    }
+
+    const cfn = new AWS.CloudFormation({
+      credentials: awsCredentials.credentials,
+      region,
+    });
+
+    const dynamodb = new AWS.DynamoDB({
+      credentials: awsCredentials.credentials,
+      region,
+    });
+
+    const tableConfigs = await module.exports.getGlobalTableConfigs(cfn, stackName, globalTablesOptions, cli);
+    if (!tableConfigs.length) {
+      return;
+    }
+
+    const createStack = globalTablesOptions.createStack !== false;
+    const plan = { stacks: [], tables: [] };
+    if (createStack) {
+      const regionSettings = module.exports.getRegionSettings(globalTablesOptions);
+      for (let newRegion of module.exports.getRegionsFromTableConfigs(tableConfigs)) {
+        const regionCfn = new AWS.CloudFormation({
+          region: newRegion,
+          credentials: module.exports.getRegionCredentials(awsCredentials.credentials, newRegion, regionSettings)
+        });
+        const exists = await module.exports.stackExists(regionCfn, stackName);
+        plan.stacks.push({ region: newRegion, stackName, action: exists ? 'update' : 'create' });
+      }
+    }
+
+    for (let tableConfig of tableConfigs) {
+      plan.tables.push(await module.exports.getTablePlan(
+        dynamodb, region, tableConfig, createStack, globalTablesOptions.pruneRegions === true, cli, {
+          credentials: awsCredentials.credentials,
+          regionSettings: module.exports.getRegionSettings(globalTablesOptions)
+        }
+      ));
     }
+    module.exports.printGlobalTablesPlan(plan, cli);
+    return plan;
   } catch (error) {
-    serverless.cli.consoleLog(`CreateGlobalTable: ${chalk.red(`Failed to setup global table. Error ${error.message || error}`)}`)
+    serverless.cli.consoleLog(`CreateGlobalTable: ${chalk.red(`Failed to plan global table changes. Error ${error.message || error}`)}`)
   }
 }
 
 module.exports = {
+  addRegionToGlobalDynamodbTable,
+  applyReplicaSettings,
+  applyStackProtection,
+  checkCanaryReplication,
   checkStackCreateUpdateStatus,
+  checkStackDeleteStatus,
+  compileGlobalTables,
+  configureRetries,
+  confirm,
   createGlobalDynamodbTable,
   createGlobalTable,
   createGlobalTableV1,
   createGlobalTableV2,
   createNewTableAndSetScalingPolicy,
   createUpdateCfnStack,
+  deleteCfnStack,
+  deleteReplicaAlarms,
+  deleteReplicaParameters,
+  deployRegionalStacks,
+  getDeployedTemplate,
+  getConfiguredRegions,
+  getBackoffDelay,
+  getBillingMode,
+  getCanaryKey,
+  getChangeSetChanges,
+  getChangeSetType,
+  getGlobalTableConfigs,
+  getGlobalTableReplicas,
+  getGlobalTableResource,
+  getParameterPrefix,
+  getPluginContext,
+  getPolicyScalableDimension,
+  getRegionsFromTableConfigs,
   getRegionsToCreateGlobalTablesIn,
+  getRegionCredentials,
+  getRegionName,
+  getRegionSettings,
+  getRegionalDeploymentBucket,
+  getRegionalStackSettings,
+  getRegionalTemplate,
+  getReplicaAlarms,
+  getReplicaManifest,
+  getReplicaSSESpecification,
+  getReplicaSyncUpdates,
+  getReplicaTableUpdates,
+  getScalingSettings,
+  getSourceDeploymentBucket,
+  getStackDeploymentBucket,
+  emptyDeploymentBucket,
+  getStackFailureEvents,
+  getStackId,
+  getStackSettings,
+  getTableConfigs,
+  getTemplateArtifacts,
   getTableNamesFromStack,
-  sleep
+  getTablePlan,
+  getTableReplacements,
+  getTableSettings,
+  getTablesFromStack,
+  getUpgradeIssues,
+  handleSetupError,
+  mapWithConcurrency,
+  mergePatch,
+  planGlobalDynamodbTable,
+  pollUntil,
+  printGlobalTablesPlan,
+  publishReplicas,
+  setupAndPublishReplicas,
+  putReplicaAlarms,
+  putReplicaParameters,
+  removeGlobalDynamodbTable,
+  removeGlobalTableReplicas,
+  deleteReplicaTables,
+  removeRegionalStacks,
+  setupGlobalTables,
+  sleep,
+  stackExists,
+  statusGlobalDynamodbTable,
+  syncGlobalDynamodbTable,
+  syncReplicaTable,
+  transformTemplate,
+  uploadRegionalTemplate,
+  upgradeGlobalDynamodbTable,
+  upgradeGlobalTable,
+  verifyGlobalTable,
+  waitForGlobalTableUpgrade,
+  waitForReplicasActive,
+  waitForTableActive,
+  waitForTableDeleted,
+  waitForTableAndIndexesActive,
+  withRetries,
+  writeReplicaManifest
 }
@@ -7,8 +7,56 @@ class CreateGlobalDynamodbTable {
   constructor(serverless, options) {
     this.serverless = serverless
     this.options = options
+    this.commands = {
+      globalTables: {
+        usage: 'Manage the dynamodb global tables of the service',
+        commands: {
+          plan: {
+            usage: 'Print the global table changes that would be made without touching AWS resources',
+            lifecycleEvents: ['plan']
+          },
+          status: {
+            usage: 'Show the replica regions and their status for each global table',
+            lifecycleEvents: ['status']
+          },
+          upgrade: {
+            usage: 'Upgrade the global tables from version 2017.11.29 to 2019.11.21',
+            lifecycleEvents: ['upgrade']
+          },
+          sync: {
+            usage: 'Setup the global table replicas again without deploying the service',
+            lifecycleEvents: ['sync']
+          },
+          'add-region': {
+            usage: 'Add a replica of the global tables in one more region',
+            lifecycleEvents: ['addRegion'],
+            options: {
+              'new-region': {
+                usage: 'Region in which the replicas need to be added (e.g. "--new-region eu-west-1")',
+                required: true,
+                type: 'string'
+              },
+              table: {
+                usage: 'Logical id or name of the only table to add the replica for',
+                type: 'string'
+              }
+            }
+          }
+        }
+      }
+    }
     this.hooks = {
-      'after:deploy:deploy': () => helper.createGlobalDynamodbTable(serverless)
+      'before:package:finalize': () => helper.compileGlobalTables(serverless),
+      'after:deploy:deploy': () => helper.createGlobalDynamodbTable(serverless),
+      'before:remove:remove': () => helper.removeGlobalDynamodbTable(serverless),
+      'after:remove:remove': () => helper.removeRegionalStacks(serverless),
+      'globalTables:plan:plan': () => helper.planGlobalDynamodbTable(serverless),
+      'globalTables:status:status': () => helper.statusGlobalDynamodbTable(serverless),
+      'globalTables:sync:sync': () => helper.syncGlobalDynamodbTable(serverless),
+      'globalTables:upgrade:upgrade': () => helper.upgradeGlobalDynamodbTable(serverless),
+      'globalTables:add-region:addRegion': () => helper.addRegionToGlobalDynamodbTable(
+        serverless, this.options['new-region'], this.options.table
+      )
     }
   }
 }
@@ -1,6 +1,9 @@
 require('should');
 const sinon = require('sinon');
 const AWS = require('aws-sdk');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
 const plugin = require('../../src/helper');
 
@@ -34,7 +37,11 @@ const serverless = {
   cli: {
     consoleLog: (str) => {
       console.log(str);
-    }
+    },
+    printDot: () => {}
+  },
+  classes: {
+    Error
   }
 };
 
@@ -42,11 +49,16 @@ describe('test createGlobalDynamodbTable function', () => {
   const sandbox = sinon.createSandbox();
   beforeEach(() => {
     serverless.service.custom.globalTables = {};
-    sandbox.stub(plugin, 'getTableNamesFromStack').returns(Promise.resolve([
-      'test-table-name'
+    serverless.service.provider.compiledCloudFormationTemplate = { Resources: {} };
+    sandbox.stub(plugin, 'getTablesFromStack').returns(Promise.resolve([
+      { logicalId: 'TestTable', tableName: 'test-table-name' }
     ]));
     sandbox.stub(plugin, 'createGlobalTable').returns(Promise.resolve());
+    sandbox.stub(plugin, 'verifyGlobalTable').returns(Promise.resolve([]));
     sandbox.stub(plugin, 'createUpdateCfnStack').returns(Promise.resolve());
+    sandbox.stub(plugin, 'getSourceDeploymentBucket').returns(Promise.resolve('source-bucket'));
+    sandbox.stub(plugin, 'getStackSettings').returns(Promise.resolve({}));
+    sandbox.stub(plugin, 'publishReplicas').returns(Promise.resolve());
   });
   afterEach(() => {
     sandbox.restore();
@@ -54,7 +66,7 @@ describe('test createGlobalDynamodbTable function', () => {
 
   it ('should return since global table options is not provided', async () => {
     await plugin.createGlobalDynamodbTable(serverless);
-    sandbox.assert.notCalled(plugin.getTableNamesFromStack);
+    sandbox.assert.notCalled(plugin.getTablesFromStack);
     sandbox.assert.notCalled(plugin.createGlobalTable);
   }).timeout(TIMEOUT);
 
@@ -62,11 +74,11 @@ describe('test createGlobalDynamodbTable function', () => {
     serverless.service.custom.globalTables = {
       regions: ['us-east-2']
     };
-    plugin.getTableNamesFromStack.restore();
-    sandbox.stub(plugin, 'getTableNamesFromStack').returns(Promise.resolve([]));
+    plugin.getTablesFromStack.restore();
+    sandbox.stub(plugin, 'getTablesFromStack').returns(Promise.resolve([]));
     await plugin.createGlobalDynamodbTable(serverless);
     sandbox.assert.notCalled(plugin.createGlobalTable);
-    sandbox.assert.calledOnce(plugin.getTableNamesFromStack);
+    sandbox.assert.calledOnce(plugin.getTablesFromStack);
   }).timeout(TIMEOUT);
 
   it ('should create the tables without cfn', async ()=> {
@@ -76,7 +88,7 @@ describe('test createGlobalDynamodbTable function', () => {
     };
     await plugin.createGlobalDynamodbTable(serverless);
     sandbox.assert.calledOnce(plugin.createGlobalTable);
-    sandbox.assert.calledOnce(plugin.getTableNamesFromStack);
+    sandbox.assert.calledOnce(plugin.getTablesFromStack);
     sandbox.assert.notCalled(plugin.createUpdateCfnStack);
   }).timeout(TIMEOUT);
 
@@ -86,11 +98,247 @@ describe('test createGlobalDynamodbTable function', () => {
     };
     await plugin.createGlobalDynamodbTable(serverless);
     sandbox.assert.calledOnce(plugin.createGlobalTable);
-    sandbox.assert.calledOnce(plugin.getTableNamesFromStack);
+    sandbox.assert.calledOnce(plugin.getTablesFromStack);
     sandbox.assert.calledOnce(plugin.createUpdateCfnStack);
+    sandbox.assert.calledOnce(plugin.publishReplicas);
+    plugin.publishReplicas.lastCall.args[3].should.eql('service-name-dev');
+  }).timeout(TIMEOUT);
+
+  it ('should only setup the tables configured under tables', async ()=> {
+    serverless.service.custom.globalTables = {
+      regions: ['us-east-2'],
+      tables: {
+        TestTable: { regions: ['us-east-1', 'eu-west-1'], version: 'v2' },
+        'other-table-name': { enabled: false }
+      }
+    };
+    plugin.getTablesFromStack.restore();
+    sandbox.stub(plugin, 'getTablesFromStack').returns(Promise.resolve([
+      { logicalId: 'TestTable', tableName: 'test-table-name' },
+      { logicalId: 'OtherTable', tableName: 'other-table-name' },
+      { logicalId: 'ThirdTable', tableName: 'third-table-name' }
+    ]));
+    await plugin.createGlobalDynamodbTable(serverless);
+    sandbox.assert.calledOnce(plugin.createGlobalTable);
+    sandbox.assert.calledTwice(plugin.createUpdateCfnStack);
+    plugin.createGlobalTable.lastCall.args[4].should.eql('test-table-name');
+    plugin.createGlobalTable.lastCall.args[5].should.eql(['us-east-1', 'eu-west-1']);
+    plugin.createGlobalTable.lastCall.args[6].should.eql('v2');
+  }).timeout(TIMEOUT);
+
+  it ('should skip the setup if global table resource is used', async ()=> {
+    serverless.service.custom.globalTables = {
+      regions: ['us-east-2'],
+      useGlobalTableResource: true
+    };
+    await plugin.createGlobalDynamodbTable(serverless);
+    sandbox.assert.notCalled(plugin.getTablesFromStack);
+    sandbox.assert.notCalled(plugin.createGlobalTable);
+    sandbox.assert.notCalled(plugin.createUpdateCfnStack);
+  }).timeout(TIMEOUT);
+
+  it ('should skip the setup if no table is enabled', async ()=> {
+    serverless.service.custom.globalTables = {
+      regions: ['us-east-2'],
+      tables: {
+        TestTable: false
+      }
+    };
+    await plugin.createGlobalDynamodbTable(serverless);
+    sandbox.assert.notCalled(plugin.createGlobalTable);
+    sandbox.assert.notCalled(plugin.createUpdateCfnStack);
+  }).timeout(TIMEOUT);
+
+  it ('should setup the other tables and fail with a summary only if failOnError is set', async ()=> {
+    serverless.service.custom.globalTables = {
+      regions: ['us-east-2', 'eu-west-1'],
+      createStack: false
+    };
+    plugin.getTablesFromStack.restore();
+    sandbox.stub(plugin, 'getTablesFromStack').returns(Promise.resolve([
+      { logicalId: 'FirstTable', tableName: 'first-table' },
+      { logicalId: 'SecondTable', tableName: 'second-table' }
+    ]));
+    plugin.createGlobalTable.restore();
+    sandbox.stub(plugin, 'createGlobalTable')
+      .onFirstCall().returns(Promise.reject(new Error('Access denied')))
+      .onSecondCall().returns(Promise.resolve());
+    await plugin.createGlobalDynamodbTable(serverless);
+    sandbox.assert.calledTwice(plugin.createGlobalTable);
+
+    serverless.service.custom.globalTables.failOnError = true;
+    plugin.createGlobalTable.resetHistory();
+    await plugin.createGlobalDynamodbTable(serverless).should.be.rejectedWith(
+      'Failed to setup global table:\n  Table first-table (us-east-2, eu-west-1): Access denied'
+    );
+    sandbox.assert.calledTwice(plugin.createGlobalTable);
+  }).timeout(TIMEOUT);
+
+  it ('should publish the replicas of all the tables when the replicas of a table are not verified', async ()=> {
+    serverless.service.custom.globalTables = {
+      regions: ['us-east-2'],
+      createStack: false,
+      failOnError: true
+    };
+    plugin.verifyGlobalTable.returns(Promise.resolve([
+      { region: 'us-east-2', status: 'ACTIVE', verified: false, reason: 'canary item not replicated' }
+    ]));
+    await plugin.createGlobalDynamodbTable(serverless).should.be.rejectedWith(
+      'Failed to setup global table:\n  Table test-table-name (us-east-2): replicas not verified (us-east-2: canary item not replicated)'
+    );
+    sandbox.assert.calledOnce(plugin.publishReplicas);
+    plugin.publishReplicas.lastCall.args[4][0].tableName.should.eql('test-table-name');
+  }).timeout(TIMEOUT);
+
+  it ('should fail with the setup error when the replicas can not be published either', async ()=> {
+    serverless.service.custom.globalTables = {
+      regions: ['us-east-2'],
+      createStack: false,
+      failOnError: true
+    };
+    plugin.createGlobalTable.returns(Promise.reject(new Error('Access denied')));
+    plugin.publishReplicas.returns(Promise.reject(new Error('Parameter limit exceeded')));
+    await plugin.createGlobalDynamodbTable(serverless).should.be.rejectedWith(
+      'Failed to setup global table:\n  Table test-table-name (us-east-2): Access denied'
+    );
+  }).timeout(TIMEOUT);
+
+  it ('should fail with the regions in which the stack failed if failOnError is set', async ()=> {
+    serverless.service.custom.globalTables = {
+      regions: ['us-east-2', 'eu-west-1'],
+      failOnError: true
+    };
+    plugin.createUpdateCfnStack.restore();
+    sandbox.stub(plugin, 'createUpdateCfnStack').callsFake(async (cfn, template, stackName, region) => {
+      return region === 'eu-west-1' ? 'FAILED' : 'DEPLOYED';
+    });
+    await plugin.createGlobalDynamodbTable(serverless).should.be.rejectedWith(
+      'Failed to setup global table:\n  Stack service-name-dev (eu-west-1): the stack rolled back'
+    );
+    sandbox.assert.notCalled(plugin.createGlobalTable);
+  }).timeout(TIMEOUT);
+
+  it ('should create the replication alarms and delete the pruned ones', async ()=> {
+    serverless.service.custom.globalTables = {
+      regions: ['us-east-2'],
+      createStack: false,
+      pruneRegions: true,
+      alarms: { replicationLatency: 60000 }
+    };
+    sandbox.stub(plugin, 'putReplicaAlarms').returns(Promise.resolve());
+    sandbox.stub(plugin, 'deleteReplicaAlarms').returns(Promise.resolve());
+    await plugin.createGlobalDynamodbTable(serverless);
+    sandbox.assert.calledOnce(plugin.putReplicaAlarms);
+    plugin.putReplicaAlarms.lastCall.args.slice(1, 5).should.eql(['test-table-name', ['us-east-2'], undefined, { replicationLatency: 60000 }]);
+    sandbox.assert.calledOnce(plugin.deleteReplicaAlarms);
+    plugin.deleteReplicaAlarms.lastCall.args.slice(1, 3).should.eql(['test-table-name', ['us-east-2']]);
+  }).timeout(TIMEOUT);
+
+  it ('should fail with the regions whose replicas are not verified if failOnError is set', async ()=> {
+    serverless.service.custom.globalTables = {
+      regions: ['us-east-2', 'eu-west-1'],
+      createStack: false,
+      failOnError: true
+    };
+    plugin.verifyGlobalTable.returns(Promise.resolve([
+      { region: 'us-east-2', status: 'ACTIVE', verified: true },
+      { region: 'eu-west-1', status: 'CREATING', verified: false, reason: 'replica is CREATING' }
+    ]));
+    await plugin.createGlobalDynamodbTable(serverless).should.be.rejectedWith(
+      'Failed to setup global table:\n  Table test-table-name (eu-west-1): replicas not verified (eu-west-1: replica is CREATING)'
+    );
   }).timeout(TIMEOUT);
 });
 
+describe('test getTableConfigs function', () => {
+  const tables = [
+    { logicalId: 'FirstTable', tableName: 'first-table' },
+    { logicalId: 'SecondTable', tableName: 'second-table' }
+  ];
+
+  it ('should use the top level settings for all the tables', () => {
+    const resp = plugin.getTableConfigs(tables, { regions: ['us-east-1'], version: 'v2' });
+    resp.should.eql([
+      { logicalId: 'FirstTable', tableName: 'first-table', regions: ['us-east-1'], version: 'v2' },
+      { logicalId: 'SecondTable', tableName: 'second-table', regions: ['us-east-1'], version: 'v2' }
+    ]);
+  });
+
+  it ('should use the per table settings keyed by logical id or table name', () => {
+    const resp = plugin.getTableConfigs(tables, {
+      regions: ['us-east-1'],
+      tables: {
+        FirstTable: true,
+        'second-table': { regions: ['eu-west-1'], version: 'v2' }
+      }
+    });
+    resp.should.eql([
+      { logicalId: 'FirstTable', tableName: 'first-table', regions: ['us-east-1'], version: undefined },
+      { logicalId: 'SecondTable', tableName: 'second-table', regions: ['eu-west-1'], version: 'v2' }
+    ]);
+  });
+
+  it ('should skip the tables which are not listed or switched off', () => {
+    const resp = plugin.getTableConfigs(tables, {
+      regions: ['us-east-1'],
+      tables: {
+        SecondTable: { enabled: false }
+      }
+    });
+    resp.should.have.length(0);
+  });
+
+  it ('should return the unique regions of all the tables', () => {
+    const resp = plugin.getRegionsFromTableConfigs([
+      { regions: ['us-east-1', 'eu-west-1'] },
+      { regions: ['eu-west-1', 'ap-south-1'] }
+    ]);
+    resp.should.eql(['us-east-1', 'eu-west-1', 'ap-south-1']);
+  });
+
+  it ('should return the region names of the regions specified with credentials settings', () => {
+    const resp = plugin.getTableConfigs(tables, {
+      regions: ['us-east-1', { region: 'eu-west-1', roleArn: 'arn:aws:iam::210987654321:role/dr' }]
+    });
+    resp[0].regions.should.eql(['us-east-1', 'eu-west-1']);
+  });
+});
+
+describe('test getRegionCredentials function', () => {
+  const credentials = new AWS.Credentials('key', 'secret');
+  const regionSettings = plugin.getRegionSettings({
+    regions: ['us-east-1', { region: 'eu-west-1', roleArn: 'arn:aws:iam::210987654321:role/dr', externalId: 'external-id' }],
+    tables: {
+      TestTable: { regions: [{ region: 'ap-south-1', profile: 'dr' }] },
+      OtherTable: false
+    }
+  });
+
+  it ('should collect the settings of the regions specified as objects', () => {
+    Object.keys(regionSettings).should.eql(['eu-west-1', 'ap-south-1']);
+  });
+
+  it ('should return the service credentials for the regions without settings', () => {
+    plugin.getRegionCredentials(credentials, 'us-east-1', regionSettings).should.equal(credentials);
+  });
+
+  it ('should assume the role of the region', () => {
+    const resp = plugin.getRegionCredentials(credentials, 'eu-west-1', regionSettings);
+    resp.should.be.instanceof(AWS.ChainableTemporaryCredentials);
+    resp.service.config.params.should.eql({
+      RoleArn: 'arn:aws:iam::210987654321:role/dr',
+      RoleSessionName: 'serverless-global-tables',
+      ExternalId: 'external-id'
+    });
+  });
+
+  it ('should use the profile of the region', () => {
+    const resp = plugin.getRegionCredentials(credentials, 'ap-south-1', regionSettings);
+    resp.should.be.instanceof(AWS.SharedIniFileCredentials);
+    resp.profile.should.eql('dr');
+  });
+});
+
 describe('test checkStackCreateUpdateStatus function', () => {
   it ('should return true', async () => {
     const cfnMockPromise = {
@@ -127,189 +375,963 @@ describe('test checkStackCreateUpdateStatus function', () => {
   }).timeout(TIMEOUT);
 });
 
-describe('test createUpdateCfnStack function', () => {
-  describe('test create stack scenario', () => {
-    const cfn = new AWS.CloudFormation();
-    before(() => {
-      const createStackPromise =  {
-        promise: () => { return sinon.fake.resolves()}
-      };
-      const updateStackPromise = {
-        promise: () => sinon.fake.resolves()
-      }
-      sinon.stub(cfn, 'createStack').returns(createStackPromise);
-      sinon.stub(cfn, 'updateStack').returns(updateStackPromise);
-      sinon.stub(plugin, 'checkStackCreateUpdateStatus').returns(Promise.resolve(true));
-    });
-    after(() => {
-      cfn.createStack.restore();
-      cfn.updateStack.restore();
-      plugin.checkStackCreateUpdateStatus.restore();
-    });
-    it ('should create the stack', async () => {
-      await plugin.createUpdateCfnStack(cfn, {}, 'test-stack', 'us-west-2', serverless.cli);
-      sinon.assert.calledOnce(plugin.checkStackCreateUpdateStatus);
-      sinon.assert.calledOnce(cfn.createStack);
-    });
+describe('test getStackFailureEvents function', () => {
+  it ('should return the failed events of the last stack operation', async () => {
+    const cfnMock = {
+      describeStackEvents: sinon.stub()
+    };
+    cfnMock.describeStackEvents.onFirstCall().returns({ promise: () => Promise.resolve({
+      StackEvents: [
+        { LogicalResourceId: 'test-stack', ResourceType: 'AWS::CloudFormation::Stack', ResourceStatus: 'UPDATE_ROLLBACK_COMPLETE' },
+        { LogicalResourceId: 'MyTable', ResourceType: 'AWS::DynamoDB::Table', ResourceStatus: 'UPDATE_FAILED', ResourceStatusReason: 'Limit exceeded' }
+      ],
+      NextToken: 'token'
+    })});
+    cfnMock.describeStackEvents.onSecondCall().returns({ promise: () => Promise.resolve({
+      StackEvents: [
+        { LogicalResourceId: 'MyRole', ResourceType: 'AWS::IAM::Role', ResourceStatus: 'UPDATE_FAILED', ResourceStatusReason: 'Resource creation cancelled' },
+        { LogicalResourceId: 'test-stack', ResourceType: 'AWS::CloudFormation::Stack', ResourceStatus: 'UPDATE_IN_PROGRESS', ResourceStatusReason: 'User Initiated' },
+        { LogicalResourceId: 'OldTable', ResourceType: 'AWS::DynamoDB::Table', ResourceStatus: 'CREATE_FAILED', ResourceStatusReason: 'Old failure' }
+      ]
+    })});
+    const resp = await plugin.getStackFailureEvents(cfnMock, 'test-stack');
+    resp.map(e => e.LogicalResourceId).should.eql(['MyRole', 'MyTable']);
+    cfnMock.describeStackEvents.secondCall.args[0].NextToken.should.eql('token');
   });
+});
 
-  describe('test update stack scenario', () => {
-    const cfn = new AWS.CloudFormation();
-    before(() => {
-      const error = new Error('forced error');
-      error.code = 'AlreadyExistsException';
-      const createStackPromise =  {
-        promise: () => { return Promise.reject(error) }
-      };
-      const updateStackPromise = {
-        promise: () => sinon.fake.resolves()
+describe('test pollUntil function', () => {
+  const sandbox = sinon.createSandbox();
+  beforeEach(() => {
+    sandbox.stub(plugin, 'sleep').returns(Promise.resolve());
+  });
+  afterEach(() => {
+    sandbox.restore();
+    plugin.configureRetries({});
+  });
+
+  it ('should poll with backoff until the check returns a value, ignoring throttling', async () => {
+    const throttled = new Error('Rate exceeded');
+    throttled.code = 'ThrottlingException';
+    const check = sinon.stub();
+    check.onFirstCall().returns(Promise.resolve());
+    check.onSecondCall().returns(Promise.reject(throttled));
+    check.onThirdCall().returns(Promise.resolve('done'));
+    const resp = await plugin.pollUntil(check, 'test');
+    resp.should.eql('done');
+    sandbox.assert.calledTwice(plugin.sleep);
+    plugin.sleep.firstCall.args[0].should.be.within(5000, 5000);
+    plugin.sleep.secondCall.args[0].should.be.within(5000, 10000);
+  });
+
+  it ('should throw once the timeout is reached', async () => {
+    plugin.configureRetries({ timeout: 1 });
+    const clock = sinon.useFakeTimers(Date.now());
+    plugin.sleep.restore();
+    sandbox.stub(plugin, 'sleep').callsFake(async ms => { clock.tick(ms); });
+    try {
+      await plugin.pollUntil(() => Promise.resolve(), 'stack test-stack');
+      throw new Error('should have failed');
+    } catch (err) {
+      err.message.should.eql('Timed out after 1 min waiting for stack test-stack');
+    } finally {
+      clock.restore();
+    }
+  });
+});
+
+describe('test withRetries function', () => {
+  const sandbox = sinon.createSandbox();
+  const limitExceeded = new Error('Too many tables are being created');
+  limitExceeded.code = 'LimitExceededException';
+  beforeEach(() => {
+    sandbox.stub(plugin, 'sleep').returns(Promise.resolve());
+  });
+  afterEach(() => {
+    sandbox.restore();
+    plugin.configureRetries({});
+  });
+
+  it ('should retry the throttled request', async () => {
+    const request = sinon.stub();
+    request.onFirstCall().returns({ promise: () => Promise.reject(limitExceeded) });
+    request.onSecondCall().returns({ promise: () => Promise.resolve('ok') });
+    (await plugin.withRetries(request)).should.eql('ok');
+    sandbox.assert.calledOnce(plugin.sleep);
+  });
+
+  it ('should throw after the maximum number of retries or for other errors', async () => {
+    plugin.configureRetries({ maxRetries: 2 });
+    const request = sinon.stub().returns({ promise: () => Promise.reject(limitExceeded) });
+    await plugin.withRetries(request).should.be.rejectedWith('Too many tables are being created');
+    sandbox.assert.calledThrice(request);
+    const validation = sinon.stub().returns({ promise: () => Promise.reject(new Error('Invalid')) });
+    await plugin.withRetries(validation).should.be.rejectedWith('Invalid');
+    sandbox.assert.calledOnce(validation);
+  });
+});
+
+describe('test deployRegionalStacks function', () => {
+  const sandbox = sinon.createSandbox();
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it ('should deploy the stacks in all the regions and report the failed ones', async () => {
+    sandbox.stub(plugin, 'createUpdateCfnStack').callsFake(async (cfn, template, stackName, region, cli, onStatus) => {
+      onStatus(region, 'CREATE_IN_PROGRESS');
+      if (region === 'eu-west-1') {
+        throw new Error('Access denied');
       }
-      // cfn.createStack = () => { return createStackPromise };
-      sinon.stub(cfn, 'createStack').returns(createStackPromise);
-      sinon.stub(cfn, 'updateStack').returns(updateStackPromise);
-      sinon.stub(plugin, 'checkStackCreateUpdateStatus').returns(Promise.resolve(true));
-    });
-    after(() => {
-      cfn.createStack.restore();
-      cfn.updateStack.restore();
-      plugin.checkStackCreateUpdateStatus.restore();
+      return region === 'ap-south-1' ? 'FAILED' : 'DEPLOYED';
     });
-    it ('should update the stack', async () => {
-      await plugin.createUpdateCfnStack(cfn, {}, 'test-stack', 'us-west-2', serverless.cli);
-      sinon.assert.calledOnce(plugin.checkStackCreateUpdateStatus);
-      sinon.assert.calledOnce(cfn.createStack);
-      sinon.assert.calledOnce(cfn.updateStack);
+    try {
+      await plugin.deployRegionalStacks({}, {}, 'test-stack', ['us-east-1', 'eu-west-1', 'ap-south-1'], serverless.cli, { concurrency: 2 });
+      throw new Error('should have failed');
+    } catch (err) {
+      err.message.should.eql('Failed to deploy the stack test-stack in eu-west-1, ap-south-1');
+    }
+    sandbox.assert.calledThrice(plugin.createUpdateCfnStack);
+  });
+
+  it ('should return the result of each region', async () => {
+    sandbox.stub(plugin, 'createUpdateCfnStack').callsFake(async (cfn, template, stackName, region) => {
+      return region === 'us-east-1' ? 'DEPLOYED' : 'UNCHANGED';
     });
+    const resp = await plugin.deployRegionalStacks({}, {}, 'test-stack', ['us-east-1', 'eu-west-1'], serverless.cli);
+    resp.should.eql([{ region: 'us-east-1', status: 'DEPLOYED' }, { region: 'eu-west-1', status: 'UNCHANGED' }]);
   });
 
-  describe('createStack fails', () => {
-    const cfn = new AWS.CloudFormation();
-    before(() => {
-      const error = new Error('forced error');
-      error.code = 'SomeRandomException';
-      const createStackPromise =  {
-        promise: () => { return Promise.reject(error) }
-      };
-      const updateStackPromise = {
-        promise: () => sinon.fake.resolves()
-      }
-      // cfn.createStack = () => { return createStackPromise };
-      sinon.stub(cfn, 'createStack').returns(createStackPromise);
-      sinon.stub(cfn, 'updateStack').returns(updateStackPromise);
-      sinon.stub(plugin, 'checkStackCreateUpdateStatus').returns(Promise.resolve(true));
+  it ('should pass the regional stack settings to the upload of the template', async () => {
+    sandbox.stub(plugin, 'uploadRegionalTemplate').callsFake(async (s3, cfn, template) => ({ template }));
+    sandbox.stub(plugin, 'createUpdateCfnStack').returns(Promise.resolve('DEPLOYED'));
+    await plugin.deployRegionalStacks({}, {}, 'test-stack', ['eu-west-1'], serverless.cli, {
+      regionOverrides: { 'eu-west-1': { terminationProtection: false } }
+    }, { region: 'us-west-2', stackSettings: { tags: { team: 'data' }, terminationProtection: true } });
+    plugin.uploadRegionalTemplate.lastCall.args[9].should.containEql({ tags: { team: 'data' }, terminationProtection: false });
+    plugin.createUpdateCfnStack.lastCall.args[7].stackSettings.should.eql(plugin.uploadRegionalTemplate.lastCall.args[9]);
+  });
+});
+
+describe('test waitForReplicasActive function', () => {
+  const sandbox = sinon.createSandbox();
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it ('should return the status of the replicas once they are active', async () => {
+    sandbox.stub(plugin, 'sleep').returns(Promise.resolve());
+    sandbox.stub(plugin, 'getGlobalTableReplicas')
+      .onFirstCall().returns(Promise.resolve([{ region: 'us-west-2', status: 'ACTIVE' }, { region: 'us-east-2', status: 'CREATING' }]))
+      .onSecondCall().returns(Promise.resolve([{ region: 'us-west-2', status: 'ACTIVE' }, { region: 'us-east-2', status: 'ACTIVE' }]));
+    const resp = await plugin.waitForReplicasActive({}, 'us-west-2', 'test-table-name', ['us-east-2'], 'v2');
+    resp.should.eql({ 'us-east-2': 'ACTIVE' });
+    sandbox.assert.calledTwice(plugin.getGlobalTableReplicas);
+  });
+
+  it ('should return the last status of the replicas when the wait times out', async () => {
+    sandbox.stub(plugin, 'getGlobalTableReplicas').returns(Promise.resolve([{ region: 'us-west-2', status: 'ACTIVE' }]));
+    sandbox.stub(plugin, 'pollUntil').callsFake(async check => {
+      await check();
+      throw new Error('Timed out after 60 min waiting for replicas');
     });
-    after(() => {
-      cfn.createStack.restore();
-      cfn.updateStack.restore();
-      plugin.checkStackCreateUpdateStatus.restore();
+    const resp = await plugin.waitForReplicasActive({}, 'us-west-2', 'test-table-name', ['us-east-2'], 'v1');
+    resp.should.eql({ 'us-east-2': 'NOT_CREATED' });
+  });
+});
+
+describe('test getCanaryKey function', () => {
+  it ('should return a value of the type of each key attribute', () => {
+    const key = plugin.getCanaryKey({
+      KeySchema: [{ AttributeName: 'id', KeyType: 'HASH' }, { AttributeName: 'sort', KeyType: 'RANGE' }],
+      AttributeDefinitions: [{ AttributeName: 'id', AttributeType: 'S' }, { AttributeName: 'sort', AttributeType: 'N' }]
     });
-    it ('should update the stack', async () => {
-      try {
-        await plugin.createUpdateCfnStack(cfn, {}, 'test-stack', 'us-west-2', serverless.cli);
-      } catch (err) {
-        err.code.should.eql('SomeRandomException');
-      }
+    key.id.S.should.startWith('global-tables-canary-');
+    key.sort.N.should.match(/^[0-9]+$/);
+  });
+});
+
+describe('test checkCanaryReplication function', () => {
+  const sandbox = sinon.createSandbox();
+  const dynamodb = new AWS.DynamoDB({ region: 'us-west-2' });
+  const dynamodbPrototype = Object.getPrototypeOf(dynamodb);
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it ('should read the canary item from each region and delete it', async () => {
+    sandbox.stub(plugin, 'sleep').callsFake(() => new Promise(resolve => setTimeout(resolve, 5)));
+    sandbox.stub(dynamodb, 'describeTable').returns({ promise: () => Promise.resolve({ Table: {
+      KeySchema: [{ AttributeName: 'id', KeyType: 'HASH' }],
+      AttributeDefinitions: [{ AttributeName: 'id', AttributeType: 'S' }]
+    } }) });
+    sandbox.stub(dynamodb, 'putItem').returns({ promise: () => Promise.resolve({}) });
+    sandbox.stub(dynamodb, 'deleteItem').returns({ promise: () => Promise.resolve({}) });
+    sandbox.stub(dynamodbPrototype, 'getItem').callsFake(function getItem(params) {
+      const item = this.config.region === 'us-east-2' ? params.Key : undefined;
+      return { promise: () => Promise.resolve({ Item: item }) };
     });
+    const resp = await plugin.checkCanaryReplication(dynamodb, '', 'test-table-name', ['us-east-2', 'eu-west-1'], {}, 50);
+    resp.should.eql({ 'us-east-2': true, 'eu-west-1': false });
+    dynamodb.putItem.lastCall.args[0].Item.should.have.property('globalTablesCanary');
+    dynamodb.deleteItem.lastCall.args[0].Key.should.eql({ id: dynamodb.putItem.lastCall.args[0].Item.id });
   });
+});
 
-  describe('update stack scenario throws ValidationError', () => {
-    const cfn = new AWS.CloudFormation();
-    before(() => {
-      const error = new Error('forced error');
-      error.code = 'AlreadyExistsException';
-      const createStackPromise =  {
-        promise: () => { return Promise.reject(error) }
-      };
-      const updateError = new Error('forced error');
-      updateError.code = 'ValidationError';
-      const updateStackPromise = {
-        promise: () => { return Promise.reject(updateError) }
-      }
-      // cfn.createStack = () => { return createStackPromise };
-      sinon.stub(cfn, 'createStack').returns(createStackPromise);
-      sinon.stub(cfn, 'updateStack').returns(updateStackPromise);
-      sinon.stub(plugin, 'checkStackCreateUpdateStatus').returns(Promise.resolve(true));
+describe('test verifyGlobalTable function', () => {
+  const sandbox = sinon.createSandbox();
+  const tableConfig = { tableName: 'test-table-name', regions: ['us-east-2', 'eu-west-1'], version: 'v2' };
+  beforeEach(() => {
+    sandbox.stub(plugin, 'waitForReplicasActive').returns(Promise.resolve({ 'us-east-2': 'ACTIVE', 'eu-west-1': 'ACTIVE' }));
+    sandbox.stub(plugin, 'checkCanaryReplication').returns(Promise.resolve({ 'us-east-2': true, 'eu-west-1': false }));
+  });
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it ('should verify the status of the replicas only by default', async () => {
+    plugin.waitForReplicasActive.returns(Promise.resolve({ 'us-east-2': 'ACTIVE', 'eu-west-1': 'CREATING' }));
+    const resp = await plugin.verifyGlobalTable({}, '', 'us-west-2', tableConfig, {}, serverless.cli);
+    resp.should.eql([
+      { region: 'us-east-2', status: 'ACTIVE', verified: true, reason: undefined },
+      { region: 'eu-west-1', status: 'CREATING', verified: false, reason: 'replica is CREATING' }
+    ]);
+    sandbox.assert.notCalled(plugin.checkCanaryReplication);
+  });
+
+  it ('should verify the replication of the canary item if verifyReplication is set', async () => {
+    const resp = await plugin.verifyGlobalTable({}, '', 'us-west-2', tableConfig, { verifyReplication: true }, serverless.cli);
+    resp.map(r => r.verified).should.eql([true, false]);
+    resp[1].reason.should.eql('canary item not replicated within 5 min');
+    plugin.checkCanaryReplication.lastCall.args[3].should.eql(['us-east-2', 'eu-west-1']);
+    plugin.checkCanaryReplication.lastCall.args[5].should.eql(300000);
+  });
+});
+
+describe('test getReplicaAlarms function', () => {
+  it ('should return the alarms of each replica region', () => {
+    const resp = plugin.getReplicaAlarms('test-table-name', ['us-east-2'], 'v1', {
+      replicationLatency: 60000,
+      pendingReplicationCount: 100,
+      topics: ['arn:aws:sns:us-west-2:123456789012:alarms']
     });
-    after(() => {
-      cfn.createStack.restore();
-      cfn.updateStack.restore();
-      plugin.checkStackCreateUpdateStatus.restore();
+    resp.map(a => a.AlarmName).should.eql([
+      'test-table-name-ReplicationLatency-us-east-2',
+      'test-table-name-PendingReplicationCount-us-east-2'
+    ]);
+    resp[0].Threshold.should.eql(60000);
+    resp[0].Statistic.should.eql('Average');
+    resp[0].EvaluationPeriods.should.eql(5);
+    resp[0].Dimensions.should.eql([{ Name: 'TableName', Value: 'test-table-name' }, { Name: 'ReceivingRegion', Value: 'us-east-2' }]);
+    resp[0].AlarmActions.should.eql(['arn:aws:sns:us-west-2:123456789012:alarms']);
+    resp[1].Threshold.should.eql(100);
+  });
+
+  it ('should skip the pending replication count alarm for v2', () => {
+    const resp = plugin.getReplicaAlarms('test-table-name', ['us-east-2', 'eu-west-1'], 'v2', {
+      replicationLatency: 60000,
+      pendingReplicationCount: 100
     });
-    it ('should update the stack', async () => {
-      await plugin.createUpdateCfnStack(cfn, {}, 'test-stack', 'us-west-2', serverless.cli);
-      sinon.assert.calledOnce(plugin.checkStackCreateUpdateStatus);
-      sinon.assert.calledOnce(cfn.createStack);
-      sinon.assert.calledOnce(cfn.updateStack);
+    resp.map(a => a.AlarmName).should.eql([
+      'test-table-name-ReplicationLatency-us-east-2',
+      'test-table-name-ReplicationLatency-eu-west-1'
+    ]);
+  });
+});
+
+describe('test deleteReplicaAlarms function', () => {
+  const sandbox = sinon.createSandbox();
+  const cloudwatch = new AWS.CloudWatch({ region: 'us-west-2' });
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it ('should delete the alarms of the regions which are not kept', async () => {
+    const alarm = (name, metricName, tableName, region) => ({
+      AlarmName: name,
+      Namespace: 'AWS/DynamoDB',
+      MetricName: metricName,
+      Dimensions: [{ Name: 'TableName', Value: tableName }, { Name: 'ReceivingRegion', Value: region }]
     });
+    sandbox.stub(cloudwatch, 'describeAlarms')
+      .onFirstCall().returns({ promise: () => Promise.resolve({
+        MetricAlarms: [
+          alarm('test-table-name-ReplicationLatency-us-east-2', 'ReplicationLatency', 'test-table-name', 'us-east-2'),
+          alarm('test-table-name-ReplicationLatency-eu-west-1', 'ReplicationLatency', 'test-table-name', 'eu-west-1')
+        ],
+        NextToken: 'token'
+      }) })
+      .onSecondCall().returns({ promise: () => Promise.resolve({
+        MetricAlarms: [
+          alarm('test-table-name-other-ReplicationLatency-eu-west-1', 'ReplicationLatency', 'test-table-name-other', 'eu-west-1'),
+          { AlarmName: 'test-table-name-errors', Namespace: 'AWS/Lambda', MetricName: 'Errors' }
+        ]
+      }) });
+    sandbox.stub(cloudwatch, 'deleteAlarms').returns({ promise: () => Promise.resolve({}) });
+    await plugin.deleteReplicaAlarms(cloudwatch, 'test-table-name', ['us-east-2'], serverless.cli);
+    sandbox.assert.calledOnce(cloudwatch.deleteAlarms);
+    cloudwatch.deleteAlarms.lastCall.args[0].AlarmNames.should.eql(['test-table-name-ReplicationLatency-eu-west-1']);
+    cloudwatch.describeAlarms.lastCall.args[0].should.eql({ AlarmNamePrefix: 'test-table-name-', NextToken: 'token' });
   });
+});
 
-  describe('update stack scenario throws random error', () => {
-    const cfn = new AWS.CloudFormation();
-    before(() => {
-      const error = new Error('forced error');
-      error.code = 'AlreadyExistsException';
-      const createStackPromise =  {
-        promise: () => { return Promise.reject(error) }
-      };
-      const updateError = new Error('forced error');
-      updateError.code = 'SomeError';
-      const updateStackPromise = {
-        promise: () => { return Promise.reject(updateError) }
+describe('test getReplicaManifest function', () => {
+  const sandbox = sinon.createSandbox();
+  const dynamodbPrototype = Object.getPrototypeOf(new AWS.DynamoDB({ region: 'us-west-2' }));
+  const cfnPrototype = Object.getPrototypeOf(new AWS.CloudFormation({ region: 'us-west-2' }));
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it ('should list the replica of each region along with its stack', async () => {
+    sandbox.stub(dynamodbPrototype, 'describeTable').callsFake(function describeTable() {
+      const region = this.config.region;
+      if (region === 'eu-west-1') {
+        const err = new Error('Requested resource not found');
+        err.code = 'ResourceNotFoundException';
+        return { promise: () => Promise.reject(err) };
       }
-      // cfn.createStack = () => { return createStackPromise };
-      sinon.stub(cfn, 'createStack').returns(createStackPromise);
-      sinon.stub(cfn, 'updateStack').returns(updateStackPromise);
-      sinon.stub(plugin, 'checkStackCreateUpdateStatus').returns(Promise.resolve(true));
-    });
-    after(() => {
-      cfn.createStack.restore();
-      cfn.updateStack.restore();
-      plugin.checkStackCreateUpdateStatus.restore();
+      return { promise: () => Promise.resolve({ Table: {
+        TableStatus: 'ACTIVE',
+        TableArn: `arn:aws:dynamodb:${region}:123456789012:table/test-table-name`,
+        LatestStreamArn: `arn:aws:dynamodb:${region}:123456789012:table/test-table-name/stream/1`,
+        BillingModeSummary: { BillingMode: 'PAY_PER_REQUEST' },
+        Replicas: region === 'us-west-2' ? [{ RegionName: 'us-east-2', ReplicaStatus: 'UPDATING' }] : undefined
+      } }) };
     });
-    it ('should update the stack', async () => {
-      try {
-        await plugin.createUpdateCfnStack(cfn, {}, 'test-stack', 'us-west-2', serverless.cli);
-      } catch (err) {
-        sinon.assert.notCalled(plugin.checkStackCreateUpdateStatus);
-        sinon.assert.calledOnce(cfn.createStack);
-        sinon.assert.calledOnce(cfn.updateStack);
-        err.code.should.eql('SomeError');
-      }
+    sandbox.stub(cfnPrototype, 'describeStacks').callsFake(function describeStacks() {
+      return { promise: () => Promise.resolve({ Stacks: [{ StackId: `stack-id-${this.config.region}` }] }) };
     });
+    const resp = await plugin.getReplicaManifest({ credentials: '' }, 'us-west-2', 'test-stack', [
+      { logicalId: 'TestTable', tableName: 'test-table-name', regions: ['us-east-2', 'eu-west-1'], version: 'v2' }
+    ], {});
+    resp.should.eql([{
+      logicalId: 'TestTable',
+      tableName: 'test-table-name',
+      version: 'v2',
+      replicas: [{
+        region: 'us-west-2',
+        status: 'ACTIVE',
+        tableArn: 'arn:aws:dynamodb:us-west-2:123456789012:table/test-table-name',
+        streamArn: 'arn:aws:dynamodb:us-west-2:123456789012:table/test-table-name/stream/1',
+        billingMode: 'PAY_PER_REQUEST',
+        stackId: 'stack-id-us-west-2'
+      }, {
+        region: 'us-east-2',
+        status: 'UPDATING',
+        tableArn: 'arn:aws:dynamodb:us-east-2:123456789012:table/test-table-name',
+        streamArn: 'arn:aws:dynamodb:us-east-2:123456789012:table/test-table-name/stream/1',
+        billingMode: 'PAY_PER_REQUEST',
+        stackId: 'stack-id-us-east-2'
+      }, {
+        region: 'eu-west-1',
+        status: 'NOT_CREATED',
+        stackId: 'stack-id-eu-west-1'
+      }]
+    }]);
+    sandbox.assert.calledThrice(cfnPrototype.describeStacks);
   });
 });
 
-describe('test createNewTableAndSetScalingPolicy function', () => {
-  let scalingPolicies = [
-    {
-      PolicyName: 'WriteAutoScalingPolicy',
-      TargetTrackingScalingPolicyConfiguration: {}
+// fs.rmSync is not available on node 10
+const removeDir = dir => {
+  fs.readdirSync(dir).forEach(name => {
+    const file = path.join(dir, name);
+    if (fs.statSync(file).isDirectory()) {
+      removeDir(file);
+    } else {
+      fs.unlinkSync(file);
     }
-  ];
-  let createTableParams = {
-    ProvisionedThroughput: {}
-  }
-  describe('table already exists', () => {
-    const dynamodb = new AWS.DynamoDB();
-    const aas = new AWS.ApplicationAutoScaling();
-    before(() => {
-      const error = new Error('forced error');
-      error.code = 'ResourceInUseException';
-      const createTablePromise =  {
-        promise: () => { return Promise.reject(error) }
-      };
-      sinon.stub(dynamodb, 'createTable').returns(createTablePromise);
-      sinon.stub(aas, 'registerScalableTarget').returns({
-        promise: () => { return Promise.resolve() }
-      });
-      sinon.stub(aas, 'putScalingPolicy').returns({
-        promise: () => { return Promise.resolve() }
-      });
-    });
-    after(() => {
-      dynamodb.createTable.restore();
-      aas.registerScalableTarget.restore();
-      aas.putScalingPolicy.restore();
+  });
+  fs.rmdirSync(dir);
+};
+
+describe('test writeReplicaManifest function', () => {
+  let servicePath;
+  beforeEach(() => {
+    servicePath = fs.mkdtempSync(path.join(os.tmpdir(), 'global-tables-'));
+    serverless.config = { servicePath };
+  });
+  afterEach(() => {
+    delete serverless.config;
+    removeDir(servicePath);
+  });
+
+  it ('should write the manifest to the default path', () => {
+    const manifestPath = plugin.writeReplicaManifest(serverless, 'us-west-2', 'test-stack', [{ tableName: 'test-table-name', replicas: [] }], {});
+    manifestPath.should.eql(path.join(servicePath, '.serverless', 'global-tables.json'));
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    manifest.service.should.eql('service-name');
+    manifest.stage.should.eql('dev');
+    manifest.region.should.eql('us-west-2');
+    manifest.tables.should.eql([{ tableName: 'test-table-name', replicas: [] }]);
+  });
+
+  it ('should write the manifest to the configured path', () => {
+    const manifestPath = plugin.writeReplicaManifest(serverless, 'us-west-2', 'test-stack', [], { manifest: 'config/tables.json' });
+    manifestPath.should.eql(path.join(servicePath, 'config', 'tables.json'));
+    fs.existsSync(manifestPath).should.eql(true);
+  });
+});
+
+describe('test publishReplicas function', () => {
+  const sandbox = sinon.createSandbox();
+  const tables = [{ logicalId: 'TestTable', tableName: 'test-table-name', replicas: [] }];
+  beforeEach(() => {
+    sandbox.stub(plugin, 'getReplicaManifest').returns(Promise.resolve(tables));
+    sandbox.stub(plugin, 'writeReplicaManifest').returns('manifest-path');
+    sandbox.stub(plugin, 'putReplicaParameters').returns(Promise.resolve());
+  });
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it ('should only write the manifest by default', async () => {
+    await plugin.publishReplicas(serverless, {}, 'us-west-2', 'test-stack', [], {});
+    sandbox.assert.calledOnce(plugin.writeReplicaManifest);
+    plugin.writeReplicaManifest.lastCall.args[3].should.eql(tables);
+    sandbox.assert.notCalled(plugin.putReplicaParameters);
+  });
+
+  it ('should publish the parameters when ssmParameters is set', async () => {
+    await plugin.publishReplicas(serverless, {}, 'us-west-2', 'test-stack', [], { manifest: false, ssmParameters: true });
+    sandbox.assert.notCalled(plugin.writeReplicaManifest);
+    sandbox.assert.calledOnce(plugin.putReplicaParameters);
+    plugin.putReplicaParameters.lastCall.args[1].should.eql('/service-name/dev/globalTables');
+  });
+
+  it ('should skip getting the replicas when nothing is published', async () => {
+    await plugin.publishReplicas(serverless, {}, 'us-west-2', 'test-stack', [], { manifest: false });
+    sandbox.assert.notCalled(plugin.getReplicaManifest);
+  });
+
+  it ('should fail only if the parameters need to be published', async () => {
+    plugin.getReplicaManifest.returns(Promise.reject(new Error('Access denied')));
+    await plugin.publishReplicas(serverless, {}, 'us-west-2', 'test-stack', [], {});
+    try {
+      await plugin.publishReplicas(serverless, {}, 'us-west-2', 'test-stack', [], { ssmParameters: true });
+      throw new Error('should have failed');
+    } catch (err) {
+      err.message.should.eql('Access denied');
+    }
+  });
+});
+
+describe('test putReplicaParameters function', () => {
+  const sandbox = sinon.createSandbox();
+  const ssmPrototype = Object.getPrototypeOf(new AWS.SSM({ region: 'us-west-2' }));
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it ('should put the ARNs of the replicas in their region', async () => {
+    const calls = [];
+    sandbox.stub(ssmPrototype, 'putParameter').callsFake(function putParameter(params) {
+      calls.push({ region: this.config.region, name: params.Name, value: params.Value });
+      return { promise: () => Promise.resolve({}) };
+    });
+    await plugin.putReplicaParameters({ credentials: '' }, '/service-name/dev/globalTables', [{
+      logicalId: 'TestTable',
+      tableName: 'test-table-name',
+      replicas: [
+        { region: 'us-west-2', tableArn: 'table-arn-us-west-2', streamArn: 'stream-arn-us-west-2' },
+        { region: 'us-east-2', tableArn: 'table-arn-us-east-2' },
+        { region: 'eu-west-1', status: 'NOT_CREATED' }
+      ]
+    }], {}, serverless.cli);
+    calls.should.eql([
+      { region: 'us-west-2', name: '/service-name/dev/globalTables/TestTable/tableArn', value: 'table-arn-us-west-2' },
+      { region: 'us-west-2', name: '/service-name/dev/globalTables/TestTable/streamArn', value: 'stream-arn-us-west-2' },
+      { region: 'us-east-2', name: '/service-name/dev/globalTables/TestTable/tableArn', value: 'table-arn-us-east-2' }
+    ]);
+  });
+});
+
+describe('test deleteReplicaParameters function', () => {
+  const sandbox = sinon.createSandbox();
+  const ssmPrototype = Object.getPrototypeOf(new AWS.SSM({ region: 'us-west-2' }));
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it ('should delete the parameters of the tables in each region', async () => {
+    const calls = [];
+    sandbox.stub(ssmPrototype, 'deleteParameters').callsFake(function deleteParameters(params) {
+      calls.push({ region: this.config.region, names: params.Names });
+      return { promise: () => Promise.resolve({ DeletedParameters: [], InvalidParameters: params.Names }) };
+    });
+    await plugin.deleteReplicaParameters({ credentials: '' }, '/service-name/dev/globalTables', 'us-west-2', [
+      { logicalId: 'TestTable', regions: ['us-east-2'] }
+    ], {}, serverless.cli);
+    const names = ['/service-name/dev/globalTables/TestTable/tableArn', '/service-name/dev/globalTables/TestTable/streamArn'];
+    calls.should.eql([{ region: 'us-west-2', names }, { region: 'us-east-2', names }]);
+  });
+});
+
+describe('test getStackSettings function', () => {
+  const sandbox = sinon.createSandbox();
+  const cfn = new AWS.CloudFormation();
+  beforeEach(() => {
+    sandbox.stub(cfn, 'describeStacks').returns({ promise: () => Promise.resolve({ Stacks: [{
+      Tags: [{ Key: 'team', Value: 'data' }],
+      EnableTerminationProtection: true
+    }] }) });
+  });
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it ('should return the settings of the stack', async () => {
+    sandbox.stub(cfn, 'getStackPolicy').returns({ promise: () => Promise.resolve({
+      StackPolicyBody: JSON.stringify({ Statement: [{ Effect: 'Allow' }] })
+    }) });
+    const resp = await plugin.getStackSettings(cfn, 'test-stack', serverless.cli);
+    resp.should.eql({
+      tags: { team: 'data' },
+      roleArn: undefined,
+      notificationArns: [],
+      stackPolicy: { Statement: [{ Effect: 'Allow' }] },
+      terminationProtection: true
+    });
+  });
+
+  it ('should return no stack policy when it can not be read', async () => {
+    const err = new Error('User is not authorized to perform: cloudformation:GetStackPolicy');
+    err.code = 'AccessDenied';
+    sandbox.stub(cfn, 'getStackPolicy').returns({ promise: () => Promise.reject(err) });
+    const resp = await plugin.getStackSettings(cfn, 'test-stack', serverless.cli);
+    resp.should.have.property('stackPolicy', undefined);
+    resp.terminationProtection.should.eql(true);
+  });
+});
+
+describe('test getRegionalStackSettings function', () => {
+  const stackSettings = {
+    tags: { team: 'data', STAGE: 'dev' },
+    roleArn: 'arn:aws:iam::123456789012:role/cfn',
+    notificationArns: ['arn:aws:sns:us-west-2:123456789012:stack-events'],
+    stackPolicy: { Statement: [{ Effect: 'Allow', Action: 'Update:*', Principal: '*', Resource: '*' }] },
+    terminationProtection: true
+  };
+
+  it ('should use the notification topics of the region', () => {
+    const resp = plugin.getRegionalStackSettings(stackSettings, 'us-west-2', 'eu-west-1');
+    resp.notificationArns.should.eql(['arn:aws:sns:eu-west-1:123456789012:stack-events']);
+    resp.tags.should.eql(stackSettings.tags);
+    resp.roleArn.should.eql(stackSettings.roleArn);
+    resp.terminationProtection.should.eql(true);
+  });
+
+  it ('should apply the overrides of the region', () => {
+    const resp = plugin.getRegionalStackSettings(stackSettings, 'us-west-2', 'eu-west-1', {
+      'eu-west-1': {
+        stackTags: { team: 'dr' },
+        cfnRole: 'arn:aws:iam::123456789012:role/cfn-dr',
+        stackPolicy: [{ Effect: 'Deny', Action: 'Update:Replace', Principal: '*', Resource: '*' }],
+        terminationProtection: false
+      }
+    });
+    resp.tags.should.eql({ team: 'dr', STAGE: 'dev' });
+    resp.roleArn.should.eql('arn:aws:iam::123456789012:role/cfn-dr');
+    resp.stackPolicy.should.eql({ Statement: [{ Effect: 'Deny', Action: 'Update:Replace', Principal: '*', Resource: '*' }] });
+    resp.terminationProtection.should.eql(false);
+  });
+});
+
+describe('test getTemplateArtifacts function', () => {
+  it ('should return the artifacts stored in the deployment bucket', () => {
+    const template = {
+      Resources: {
+        FunctionA: { Properties: { Code: { S3Bucket: { Ref: 'ServerlessDeploymentBucket' }, S3Key: 'serverless/svc/dev/1/svc.zip' } } },
+        FunctionB: { Properties: { Code: { S3Bucket: { Ref: 'ServerlessDeploymentBucket' }, S3Key: 'serverless/svc/dev/1/svc.zip' } } },
+        Layer: { Properties: { Content: { S3Bucket: 'source-bucket', S3Key: 'serverless/svc/dev/1/layer.zip' } } },
+        External: { Properties: { Code: { S3Bucket: 'other-bucket', S3Key: 'other.zip' } } },
+        Table: { Properties: { TableName: 'test-table' } }
+      }
+    };
+    plugin.getTemplateArtifacts(template, 'source-bucket').should.eql(['serverless/svc/dev/1/svc.zip', 'serverless/svc/dev/1/layer.zip']);
+  });
+});
+
+describe('test getRegionalTemplate function', () => {
+  const template = {
+    Parameters: { Size: { Type: 'Number', Default: 1 } },
+    Resources: {
+      Function: {
+        Type: 'AWS::Lambda::Function',
+        Properties: {
+          Role: 'arn:aws:iam::123456789012:role/test',
+          Environment: { Variables: {
+            TOPIC: 'arn:aws:sns:us-west-2:123456789012:topic',
+            ENDPOINT: 'https://sqs.us-west-2.amazonaws.com/123456789012/queue',
+            VPC: { 'Fn::ImportValue': 'vpc-id' }
+          }},
+          MemorySize: 512,
+          Timeout: 6
+        }
+      }
+    }
+  };
+
+  it ('should change the ARNs and endpoints of the source region', () => {
+    const resp = plugin.getRegionalTemplate(template, 'us-west-2', 'eu-west-1');
+    const variables = resp.Resources.Function.Properties.Environment.Variables;
+    variables.TOPIC.should.eql('arn:aws:sns:eu-west-1:123456789012:topic');
+    variables.ENDPOINT.should.eql('https://sqs.eu-west-1.amazonaws.com/123456789012/queue');
+    resp.Resources.Function.Properties.Role.should.eql('arn:aws:iam::123456789012:role/test');
+    template.Resources.Function.Properties.Environment.Variables.TOPIC.should.eql('arn:aws:sns:us-west-2:123456789012:topic');
+  });
+
+  it ('should not change the ARNs of the resources pinned to us-east-1', () => {
+    const edgeTemplate = { Resources: {
+      Distribution: {
+        Type: 'AWS::CloudFront::Distribution',
+        DependsOn: ['Function'],
+        Properties: { DistributionConfig: {
+          ViewerCertificate: { AcmCertificateArn: 'arn:aws:acm:us-east-1:123456789012:certificate/1234' },
+          DefaultCacheBehavior: { LambdaFunctionAssociations: [
+            { LambdaFunctionARN: 'arn:aws:lambda:us-east-1:123456789012:function:edge:1' }
+          ]},
+          Origins: [{ DomainName: { 'Fn::ImportValue': 'api-domain' } }]
+        }}
+      },
+      DomainName: {
+        Type: 'AWS::ApiGateway::DomainName',
+        Properties: {
+          CertificateArn: 'arn:aws:acm:us-east-1:123456789012:certificate/1234',
+          RegionalCertificateArn: 'arn:aws:acm:us-east-1:123456789012:certificate/5678'
+        }
+      }
+    }};
+    const resp = plugin.getRegionalTemplate(edgeTemplate, 'us-east-1', 'eu-west-1', {
+      'eu-west-1': { ImportValues: { 'api-domain': 'api.eu-west-1.example.com' } }
+    });
+    resp.Resources.Distribution.Properties.should.eql({ DistributionConfig: Object.assign(
+      {}, edgeTemplate.Resources.Distribution.Properties.DistributionConfig, { Origins: [{ DomainName: 'api.eu-west-1.example.com' }] }
+    )});
+    resp.Resources.Distribution.DependsOn.should.eql(['Function']);
+    resp.Resources.DomainName.Properties.should.eql({
+      CertificateArn: 'arn:aws:acm:us-east-1:123456789012:certificate/1234',
+      RegionalCertificateArn: 'arn:aws:acm:eu-west-1:123456789012:certificate/5678'
+    });
+  });
+
+  it ('should not change the ARNs excluded for the region', () => {
+    const resp = plugin.getRegionalTemplate(template, 'us-west-2', 'eu-west-1', {
+      'eu-west-1': { keepArns: ['arn:aws:sns:us-west-2:123456789012:topic'] }
+    });
+    const variables = resp.Resources.Function.Properties.Environment.Variables;
+    variables.TOPIC.should.eql('arn:aws:sns:us-west-2:123456789012:topic');
+    variables.ENDPOINT.should.eql('https://sqs.eu-west-1.amazonaws.com/123456789012/queue');
+  });
+
+  it ('should not change the ARNs and endpoints when rewriteArns is false for the region', () => {
+    const resp = plugin.getRegionalTemplate(template, 'us-west-2', 'eu-west-1', {
+      'eu-west-1': { rewriteArns: false, ImportValues: { 'vpc-id': 'vpc-1234' } }
+    });
+    const variables = resp.Resources.Function.Properties.Environment.Variables;
+    variables.TOPIC.should.eql('arn:aws:sns:us-west-2:123456789012:topic');
+    variables.ENDPOINT.should.eql('https://sqs.us-west-2.amazonaws.com/123456789012/queue');
+    variables.VPC.should.eql('vpc-1234');
+  });
+
+  it ('should apply the overrides of the region', () => {
+    const resp = plugin.getRegionalTemplate(template, 'us-west-2', 'eu-west-1', {
+      'eu-west-1': {
+        Parameters: { Size: 3 },
+        ImportValues: { 'vpc-id': 'vpc-1234' },
+        Resources: { Function: { Properties: { MemorySize: 1024, Timeout: null } } }
+      }
+    });
+    resp.Parameters.Size.Default.should.eql(3);
+    resp.Resources.Function.Properties.Environment.Variables.VPC.should.eql('vpc-1234');
+    resp.Resources.Function.Properties.MemorySize.should.eql(1024);
+    resp.Resources.Function.Properties.should.not.have.property('Timeout');
+    resp.Resources.Function.Type.should.eql('AWS::Lambda::Function');
+  });
+
+  it ('should throw for an override of an unknown parameter', () => {
+    (() => plugin.getRegionalTemplate(template, 'us-west-2', 'eu-west-1', { 'eu-west-1': { Parameters: { Unknown: 1 } } }))
+      .should.throw('Parameter Unknown of regionOverrides.eu-west-1 is not defined in the template');
+  });
+});
+
+describe('test uploadRegionalTemplate function', () => {
+  const sandbox = sinon.createSandbox();
+  const s3 = new AWS.S3();
+  const cfn = new AWS.CloudFormation();
+  beforeEach(() => {
+    sandbox.stub(s3, 'copyObject').returns({ promise: () => Promise.resolve() });
+    sandbox.stub(s3, 'putObject').returns({ promise: () => Promise.resolve() });
+    sandbox.stub(plugin, 'getRegionalDeploymentBucket').returns(Promise.resolve('regional-bucket'));
+  });
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it ('should not upload small templates without artifacts', async () => {
+    const template = { Resources: { Table: { Type: 'AWS::DynamoDB::Table' } } };
+    const resp = await plugin.uploadRegionalTemplate(s3, cfn, template, 'test-stack', 'eu-west-1', serverless.cli, {}, 'source-bucket');
+    resp.should.eql({ template });
+    sandbox.assert.notCalled(s3.putObject);
+  });
+
+  it ('should upload the templates larger than the limit in bytes', async () => {
+    // 20,000 characters but 60,000 bytes
+    const template = { Description: '\u20ac'.repeat(20000), Resources: { Table: { Type: 'AWS::DynamoDB::Table' } } };
+    await plugin.uploadRegionalTemplate(s3, cfn, template, 'test-stack', 'eu-west-1', serverless.cli, {}, 'source-bucket');
+    sandbox.assert.calledOnce(s3.putObject);
+  });
+
+  it ('should copy the artifacts and upload the template to the regional bucket', async () => {
+    const template = { Resources: {
+      Function: { Properties: { Code: { S3Bucket: 'source-bucket', S3Key: 'serverless/svc/dev/1/svc.zip' } } }
+    }};
+    const resp = await plugin.uploadRegionalTemplate(s3, cfn, template, 'test-stack', 'eu-west-1', serverless.cli, {}, 'source-bucket');
+    s3.copyObject.lastCall.args[0].should.eql({
+      Bucket: 'regional-bucket',
+      Key: 'serverless/svc/dev/1/svc.zip',
+      CopySource: 'source-bucket/serverless/svc/dev/1/svc.zip'
+    });
+    s3.putObject.lastCall.args[0].Key.should.eql('serverless/svc/dev/1/compiled-cloudformation-template-eu-west-1.json');
+    resp.template.Resources.Function.Properties.Code.S3Bucket.should.eql('regional-bucket');
+    resp.templateUrl.should.eql('https://regional-bucket.s3.eu-west-1.amazonaws.com/serverless/svc/dev/1/compiled-cloudformation-template-eu-west-1.json');
+  });
+
+  it ('should move the artifacts of the stack bucket to the bucket configured for the region', async () => {
+    plugin.getRegionalDeploymentBucket.returns(Promise.resolve('my-eu-bucket'));
+    const template = { Resources: {
+      Function: { Properties: { Code: { S3Bucket: { Ref: 'ServerlessDeploymentBucket' }, S3Key: 'serverless/svc/dev/1/svc.zip' } } }
+    }};
+    const resp = await plugin.uploadRegionalTemplate(s3, cfn, template, 'test-stack', 'eu-west-1', serverless.cli, {
+      deploymentBuckets: { 'eu-west-1': 'my-eu-bucket' }
+    }, 'source-bucket');
+    s3.copyObject.lastCall.args[0].Bucket.should.eql('my-eu-bucket');
+    resp.template.Resources.Function.Properties.Code.should.eql({ S3Bucket: 'my-eu-bucket', S3Key: 'serverless/svc/dev/1/svc.zip' });
+  });
+
+  it ('should keep the artifacts of the stack bucket in the bucket of the regional stack', async () => {
+    const template = { Resources: {
+      Function: { Properties: { Code: { S3Bucket: { Ref: 'ServerlessDeploymentBucket' }, S3Key: 'serverless/svc/dev/1/svc.zip' } } }
+    }};
+    const resp = await plugin.uploadRegionalTemplate(s3, cfn, template, 'test-stack', 'eu-west-1', serverless.cli, {}, 'source-bucket');
+    s3.copyObject.lastCall.args[0].Bucket.should.eql('regional-bucket');
+    resp.template.Resources.Function.Properties.Code.S3Bucket.should.eql({ Ref: 'ServerlessDeploymentBucket' });
+  });
+});
+
+describe('test getRegionalDeploymentBucket function', () => {
+  const sandbox = sinon.createSandbox();
+  const cfn = new AWS.CloudFormation();
+  const template = { Resources: { ServerlessDeploymentBucket: { Type: 'AWS::S3::Bucket' } } };
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it ('should return the bucket configured for the region', async () => {
+    const resp = await plugin.getRegionalDeploymentBucket(cfn, template, 'test-stack', 'eu-west-1', serverless.cli, {
+      deploymentBuckets: { 'eu-west-1': 'configured-bucket' }
+    });
+    resp.should.eql('configured-bucket');
+  });
+
+  it ('should create the stack with the deployment bucket only if it does not exist', async () => {
+    sandbox.stub(plugin, 'getStackDeploymentBucket')
+      .onFirstCall().returns(Promise.resolve())
+      .onSecondCall().returns(Promise.resolve('created-bucket'));
+    sandbox.stub(plugin, 'getChangeSetType').returns(Promise.resolve('CREATE'));
+    sandbox.stub(plugin, 'createUpdateCfnStack').returns(Promise.resolve('DEPLOYED'));
+    const stackSettings = { tags: { team: 'data' }, terminationProtection: true };
+    const resp = await plugin.getRegionalDeploymentBucket(
+      cfn, template, 'test-stack', 'eu-west-1', serverless.cli, {}, undefined, stackSettings
+    );
+    resp.should.eql('created-bucket');
+    plugin.createUpdateCfnStack.lastCall.args[1].Resources.should.eql(template.Resources);
+    plugin.createUpdateCfnStack.lastCall.args[7].should.eql({ stackSettings });
+  });
+});
+
+describe('test mapWithConcurrency function', () => {
+  it ('should not run more calls at the same time than the concurrency', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const resp = await plugin.mapWithConcurrency([1, 2, 3, 4, 5], 2, async item => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(resolve => setTimeout(resolve, 1));
+      running--;
+      return item * 2;
+    });
+    resp.should.eql([2, 4, 6, 8, 10]);
+    maxRunning.should.eql(2);
+  });
+});
+
+describe('test createUpdateCfnStack function', () => {
+  const sandbox = sinon.createSandbox();
+  let cfn;
+  const resolves = value => ({ promise: () => Promise.resolve(value) });
+  beforeEach(() => {
+    cfn = new AWS.CloudFormation();
+    sandbox.stub(plugin, 'getChangeSetType').returns(Promise.resolve('UPDATE'));
+    sandbox.stub(plugin, 'getChangeSetChanges').returns(Promise.resolve([
+      { Action: 'Modify', ResourceType: 'AWS::DynamoDB::Table', LogicalResourceId: 'MyTable', Replacement: 'False' }
+    ]));
+    sandbox.stub(plugin, 'checkStackCreateUpdateStatus').returns(Promise.resolve(true));
+    sandbox.stub(cfn, 'createChangeSet').returns(resolves());
+    sandbox.stub(cfn, 'describeChangeSet').returns(resolves({ Status: 'CREATE_COMPLETE' }));
+    sandbox.stub(cfn, 'executeChangeSet').returns(resolves());
+    sandbox.stub(cfn, 'deleteChangeSet').returns(resolves());
+  });
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it ('should create and execute the change set', async () => {
+    const resp = await plugin.createUpdateCfnStack(cfn, {}, 'test-stack', 'us-west-2', serverless.cli);
+    resp.should.eql('DEPLOYED');
+    cfn.createChangeSet.lastCall.args[0].ChangeSetType.should.eql('UPDATE');
+    sandbox.assert.calledOnce(cfn.executeChangeSet);
+    sandbox.assert.calledOnce(plugin.checkStackCreateUpdateStatus);
+  });
+
+  it ('should deploy the stack with the stack settings', async () => {
+    sandbox.stub(cfn, 'setStackPolicy').returns(resolves());
+    sandbox.stub(cfn, 'updateTerminationProtection').returns(resolves());
+    await plugin.createUpdateCfnStack(cfn, {}, 'test-stack', 'us-west-2', serverless.cli, undefined, {}, {
+      templateUrl: 'https://bucket.s3.us-west-2.amazonaws.com/template.json',
+      stackSettings: {
+        tags: { team: 'data' },
+        roleArn: 'arn:aws:iam::123456789012:role/cfn',
+        notificationArns: ['arn:aws:sns:us-west-2:123456789012:stack-events'],
+        stackPolicy: { Statement: [] },
+        terminationProtection: true
+      }
+    });
+    const params = cfn.createChangeSet.lastCall.args[0];
+    params.TemplateURL.should.eql('https://bucket.s3.us-west-2.amazonaws.com/template.json');
+    params.should.not.have.property('TemplateBody');
+    params.Tags.should.eql([{ Key: 'team', Value: 'data' }]);
+    params.RoleARN.should.eql('arn:aws:iam::123456789012:role/cfn');
+    params.NotificationARNs.should.eql(['arn:aws:sns:us-west-2:123456789012:stack-events']);
+    cfn.setStackPolicy.lastCall.args[0].StackPolicyBody.should.eql('{"Statement":[]}');
+    cfn.updateTerminationProtection.lastCall.args[0].EnableTerminationProtection.should.eql(true);
+  });
+
+  it ('should return the failed status if the stack rolled back', async () => {
+    plugin.checkStackCreateUpdateStatus.restore();
+    sandbox.stub(plugin, 'checkStackCreateUpdateStatus').returns(Promise.resolve(false));
+    const resp = await plugin.createUpdateCfnStack(cfn, {}, 'test-stack', 'us-west-2', serverless.cli);
+    resp.should.eql('FAILED');
+  });
+
+  it ('should delete the change set and return the unchanged status if there are no changes', async () => {
+    cfn.describeChangeSet.restore();
+    sandbox.stub(cfn, 'describeChangeSet').returns(resolves({
+      Status: 'FAILED',
+      StatusReason: 'The submitted information didn\'t contain changes. Submit different information to create a change set.'
+    }));
+    const resp = await plugin.createUpdateCfnStack(cfn, {}, 'test-stack', 'us-west-2', serverless.cli);
+    resp.should.eql('UNCHANGED');
+    sandbox.assert.calledOnce(cfn.deleteChangeSet);
+    sandbox.assert.notCalled(cfn.executeChangeSet);
+  });
+
+  it ('should throw the reason if the change set fails', async () => {
+    cfn.describeChangeSet.restore();
+    sandbox.stub(cfn, 'describeChangeSet').returns(resolves({ Status: 'FAILED', StatusReason: 'Template format error' }));
+    try {
+      await plugin.createUpdateCfnStack(cfn, {}, 'test-stack', 'us-west-2', serverless.cli);
+      throw new Error('should have failed');
+    } catch (err) {
+      err.message.should.eql('Change set for stack test-stack in us-west-2 failed: Template format error');
+    }
+    sandbox.assert.notCalled(cfn.executeChangeSet);
+  });
+
+  it ('should ask to confirm the table replacement only if confirmTableReplacement is set', async () => {
+    plugin.getChangeSetChanges.restore();
+    sandbox.stub(plugin, 'getChangeSetChanges').returns(Promise.resolve([
+      { Action: 'Modify', ResourceType: 'AWS::DynamoDB::Table', LogicalResourceId: 'MyTable', Replacement: 'True' }
+    ]));
+    sandbox.stub(plugin, 'confirm').returns(Promise.resolve(false));
+    await plugin.createUpdateCfnStack(cfn, {}, 'test-stack', 'us-west-2', serverless.cli);
+    sandbox.assert.notCalled(plugin.confirm);
+    try {
+      await plugin.createUpdateCfnStack(cfn, {}, 'test-stack', 'us-west-2', serverless.cli, undefined, { confirmTableReplacement: true });
+      throw new Error('should have failed');
+    } catch (err) {
+      err.message.should.eql('Deleting or replacing the tables MyTable was not confirmed');
+    }
+    sandbox.assert.calledOnce(plugin.confirm);
+    sandbox.assert.calledOnce(cfn.deleteChangeSet);
+    sandbox.assert.calledOnce(cfn.executeChangeSet);
+  });
+});
+
+describe('test getChangeSetType function', () => {
+  const sandbox = sinon.createSandbox();
+  const cfn = new AWS.CloudFormation();
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it ('should return CREATE if the stack does not exist', async () => {
+    const err = new Error('Stack with id test-stack does not exist');
+    err.code = 'ValidationError';
+    sandbox.stub(cfn, 'describeStacks').returns({ promise: () => Promise.reject(err) });
+    (await plugin.getChangeSetType(cfn, 'test-stack')).should.eql('CREATE');
+  });
+
+  it ('should return UPDATE if the stack exists', async () => {
+    sandbox.stub(cfn, 'describeStacks').returns({ promise: () => Promise.resolve({ Stacks: [{ StackStatus: 'UPDATE_COMPLETE' }] }) });
+    (await plugin.getChangeSetType(cfn, 'test-stack')).should.eql('UPDATE');
+  });
+});
+
+describe('test getTableReplacements function', () => {
+  it ('should return the table changes which delete or replace the table', () => {
+    const changes = [
+      { Action: 'Remove', ResourceType: 'AWS::DynamoDB::Table', LogicalResourceId: 'Removed' },
+      { Action: 'Modify', ResourceType: 'AWS::DynamoDB::Table', LogicalResourceId: 'Replaced', Replacement: 'Conditional' },
+      { Action: 'Modify', ResourceType: 'AWS::DynamoDB::Table', LogicalResourceId: 'Updated', Replacement: 'False' },
+      { Action: 'Remove', ResourceType: 'AWS::IAM::Role', LogicalResourceId: 'Role' }
+    ];
+    plugin.getTableReplacements(changes).map(c => c.LogicalResourceId).should.eql(['Removed', 'Replaced']);
+  });
+});
+
+describe('test createNewTableAndSetScalingPolicy function', () => {
+  let scalingPolicies = [
+    {
+      PolicyName: 'WriteAutoScalingPolicy',
+      TargetTrackingScalingPolicyConfiguration: {}
+    }
+  ];
+  let createTableParams = {
+    ProvisionedThroughput: {}
+  }
+  describe('table already exists', () => {
+    const dynamodb = new AWS.DynamoDB();
+    const aas = new AWS.ApplicationAutoScaling();
+    before(() => {
+      const error = new Error('forced error');
+      error.code = 'ResourceInUseException';
+      const createTablePromise =  {
+        promise: () => { return Promise.reject(error) }
+      };
+      sinon.stub(dynamodb, 'createTable').returns(createTablePromise);
+      sinon.stub(aas, 'registerScalableTarget').returns({
+        promise: () => { return Promise.resolve() }
+      });
+      sinon.stub(aas, 'putScalingPolicy').returns({
+        promise: () => { return Promise.resolve() }
+      });
+    });
+    after(() => {
+      dynamodb.createTable.restore();
+      aas.registerScalableTarget.restore();
+      aas.putScalingPolicy.restore();
     });
     it ('should return without creating table', async () => {
       await plugin.createNewTableAndSetScalingPolicy(aas, dynamodb, {}, scalingPolicies, 'test-table', 'us-west-2', serverless.cli);
@@ -374,6 +1396,110 @@ describe('test createNewTableAndSetScalingPolicy function', () => {
     });
   });
 
+  describe('scaling policies with any name and real scalable target bounds', () => {
+    const dynamodb = new AWS.DynamoDB();
+    const aas = new AWS.ApplicationAutoScaling();
+    before(() => {
+      sinon.stub(dynamodb, 'createTable').returns({
+        promise: () => { return Promise.resolve() }
+      });
+      sinon.stub(aas, 'registerScalableTarget').returns({
+        promise: () => { return Promise.resolve() }
+      });
+      sinon.stub(aas, 'putScalingPolicy').returns({
+        promise: () => { return Promise.resolve() }
+      });
+    });
+    after(() => {
+      dynamodb.createTable.restore();
+      aas.registerScalableTarget.restore();
+      aas.putScalingPolicy.restore();
+    });
+    it ('should register the target once and add each policy', async () => {
+      const policies = [
+        {
+          PolicyName: 'custom-write-policy',
+          ResourceId: 'table/test-table',
+          ScalableDimension: 'dynamodb:table:WriteCapacityUnits',
+          PolicyType: 'TargetTrackingScaling',
+          TargetTrackingScalingPolicyConfiguration: { TargetValue: 50 }
+        },
+        {
+          PolicyName: 'custom-step-policy',
+          ResourceId: 'table/test-table',
+          ScalableDimension: 'dynamodb:table:WriteCapacityUnits',
+          PolicyType: 'StepScaling',
+          StepScalingPolicyConfiguration: { AdjustmentType: 'ChangeInCapacity' }
+        }
+      ];
+      const targets = [{
+        ResourceId: 'table/test-table',
+        ScalableDimension: 'dynamodb:table:WriteCapacityUnits',
+        MinCapacity: 5,
+        MaxCapacity: 100
+      }];
+      await plugin.createNewTableAndSetScalingPolicy(
+        aas, dynamodb, { ProvisionedThroughput: { WriteCapacityUnits: 10 } }, policies, 'test-table', 'us-west-2', serverless.cli, targets
+      );
+      sinon.assert.calledOnce(aas.registerScalableTarget);
+      aas.registerScalableTarget.lastCall.args[0].should.eql({
+        ResourceId: 'table/test-table',
+        ScalableDimension: 'dynamodb:table:WriteCapacityUnits',
+        ServiceNamespace: 'dynamodb',
+        MinCapacity: 5,
+        MaxCapacity: 100
+      });
+      sinon.assert.calledTwice(aas.putScalingPolicy);
+      aas.putScalingPolicy.firstCall.args[0].PolicyName.should.eql('custom-write-policy');
+      aas.putScalingPolicy.firstCall.args[0].TargetTrackingScalingPolicyConfiguration.should.eql({ TargetValue: 50 });
+      aas.putScalingPolicy.secondCall.args[0].PolicyType.should.eql('StepScaling');
+      aas.putScalingPolicy.secondCall.args[0].StepScalingPolicyConfiguration.should.eql({ AdjustmentType: 'ChangeInCapacity' });
+    });
+  });
+
+  describe('scaling policies on global secondary index', () => {
+    const dynamodb = new AWS.DynamoDB();
+    const aas = new AWS.ApplicationAutoScaling();
+    before(() => {
+      sinon.stub(dynamodb, 'createTable').returns({
+        promise: () => { return Promise.resolve() }
+      });
+      sinon.stub(aas, 'registerScalableTarget').returns({
+        promise: () => { return Promise.resolve() }
+      });
+      sinon.stub(aas, 'putScalingPolicy').returns({
+        promise: () => { return Promise.resolve() }
+      });
+    });
+    after(() => {
+      dynamodb.createTable.restore();
+      aas.registerScalableTarget.restore();
+      aas.putScalingPolicy.restore();
+    });
+    it ('should register the index target with the index throughput if source target is not provided', async () => {
+      const policies = [{
+        PolicyName: 'index-read-policy',
+        ResourceId: 'table/test-table/index/gsi',
+        ScalableDimension: 'dynamodb:index:ReadCapacityUnits',
+        PolicyType: 'TargetTrackingScaling',
+        TargetTrackingScalingPolicyConfiguration: { TargetValue: 50 }
+      }];
+      const params = {
+        ProvisionedThroughput: { ReadCapacityUnits: 10, WriteCapacityUnits: 10 },
+        GlobalSecondaryIndexes: [{ IndexName: 'gsi', ProvisionedThroughput: { ReadCapacityUnits: 3, WriteCapacityUnits: 4 } }]
+      };
+      await plugin.createNewTableAndSetScalingPolicy(aas, dynamodb, params, policies, 'test-table', 'us-west-2', serverless.cli);
+      aas.registerScalableTarget.lastCall.args[0].should.eql({
+        ResourceId: 'table/test-table/index/gsi',
+        ScalableDimension: 'dynamodb:index:ReadCapacityUnits',
+        ServiceNamespace: 'dynamodb',
+        MinCapacity: 3,
+        MaxCapacity: 3
+      });
+      aas.putScalingPolicy.lastCall.args[0].ResourceId.should.eql('table/test-table/index/gsi');
+    });
+  });
+
   describe('createTable fails with random error', () => {
     const dynamodb = new AWS.DynamoDB();
     const aas = new AWS.ApplicationAutoScaling();
@@ -543,11 +1669,73 @@ describe('test getRegionsToCreateGlobalTablesIn function', () =>{
       resp.addingNewRegions.should.eql(true);
     });
   });
-});
 
-describe('test createGlobalTable function', () => {
-  const sandbox = sinon.createSandbox();
-  let dynamodb;
+  describe('global table exists in regions which are not specified anymore', () => {
+    before(() => {
+      sinon.stub(dynamodb, 'describeGlobalTable').returns({
+        promise: () => { return Promise.resolve({
+          GlobalTableDescription: {
+            ReplicationGroup: [
+              { RegionName: 'us-west-1'},
+              { RegionName: 'us-east-1'},
+              { RegionName: 'us-west-2'},
+              { RegionName: 'eu-west-1'}
+            ]
+          }
+        })}
+      });
+    });
+    after(() => {
+      dynamodb.describeGlobalTable.restore();
+    });
+    it ('should return the extra regions', async () => {
+      const resp = await plugin.getRegionsToCreateGlobalTablesIn(dynamodb, 'us-west-2', newRegions, 'test-table', 'v1', serverless.cli);
+      resp.missingRegions.should.have.length(0);
+      resp.extraRegions.should.eql(['eu-west-1']);
+    });
+  });
+});
+
+describe('test removeGlobalTableReplicas function', () => {
+  const sandbox = sinon.createSandbox();
+  const dynamodb = new AWS.DynamoDB();
+  beforeEach(() => {
+    sandbox.stub(dynamodb, 'updateTable').returns({
+      promise: () => { return Promise.resolve()}
+    });
+    sandbox.stub(dynamodb, 'updateGlobalTable').returns({
+      promise: () => { return Promise.resolve()}
+    });
+    sandbox.stub(plugin, 'waitForTableActive').returns(Promise.resolve());
+  });
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it ('should delete the v2 replicas one by one', async () => {
+    await plugin.removeGlobalTableReplicas(dynamodb, 'test-table', ['eu-west-1', 'us-east-1'], 'v2', serverless.cli);
+    sandbox.assert.calledTwice(dynamodb.updateTable);
+    dynamodb.updateTable.firstCall.args[0].should.eql({
+      TableName: 'test-table',
+      ReplicaUpdates: [{ Delete: { RegionName: 'eu-west-1' }}]
+    });
+    sandbox.assert.notCalled(dynamodb.updateGlobalTable);
+  });
+
+  it ('should remove the v1 replicas from the global table', async () => {
+    await plugin.removeGlobalTableReplicas(dynamodb, 'test-table', ['eu-west-1', 'us-east-1'], 'v1', serverless.cli);
+    sandbox.assert.calledOnce(dynamodb.updateGlobalTable);
+    dynamodb.updateGlobalTable.firstCall.args[0].should.eql({
+      GlobalTableName: 'test-table',
+      ReplicaUpdates: [{ Delete: { RegionName: 'eu-west-1' }}, { Delete: { RegionName: 'us-east-1' }}]
+    });
+    sandbox.assert.notCalled(dynamodb.updateTable);
+  });
+});
+
+describe('test createGlobalTable function', () => {
+  const sandbox = sinon.createSandbox();
+  let dynamodb;
   let aas;
   let stubbedTable;
   beforeEach(() => {
@@ -593,7 +1781,13 @@ describe('test createGlobalTable function', () => {
     sandbox.stub(aas, 'describeScalingPolicies').returns({
       promise: () => { return Promise.resolve([]) }
     });
+    sandbox.stub(aas, 'describeScalableTargets').returns({
+      promise: () => { return Promise.resolve({ ScalableTargets: [] }) }
+    });
     sandbox.stub(plugin, 'createNewTableAndSetScalingPolicy').returns(Promise.resolve());
+    sandbox.stub(plugin, 'syncReplicaTable').returns(Promise.resolve());
+    sandbox.stub(plugin, 'getTableSettings').returns(Promise.resolve({}));
+    sandbox.stub(plugin, 'applyReplicaSettings').returns(Promise.resolve([]));
     sandbox.stub(dynamodb, 'createGlobalTable').returns({
       promise: () => { return Promise.resolve()}
     });
@@ -603,9 +1797,7 @@ describe('test createGlobalTable function', () => {
     sandbox.stub(dynamodb, 'updateTable').returns({
       promise: () => { return Promise.resolve()}
     });
-    sandbox.stub(dynamodb, 'waitFor').returns({
-      promise: () => { return Promise.resolve()}
-    });
+    sandbox.stub(plugin, 'waitForTableActive').returns(Promise.resolve());
   });
   afterEach(() => {
     sandbox.restore();
@@ -636,11 +1828,28 @@ describe('test createGlobalTable function', () => {
     sandbox.assert.notCalled(dynamodb.createGlobalTable);
     sandbox.assert.calledOnce(dynamodb.updateGlobalTable);
   });
+
+  it ('should remove the replicas not specified anymore only if pruneRegions is set', async () => {
+    plugin.getRegionsToCreateGlobalTablesIn.restore();
+    sandbox.stub(plugin, 'getRegionsToCreateGlobalTablesIn').returns(Promise.resolve({
+      missingRegions: [],
+      addingNewRegions: false,
+      extraRegions: ['eu-west-1']
+    }));
+    sandbox.stub(plugin, 'removeGlobalTableReplicas').returns(Promise.resolve());
+    await plugin.createGlobalTable(aas, dynamodb, serverless.getProvider().getCredentials(), 'us-west-2', 'test-table', ['us-east-2'], 'v1', true, serverless.cli);
+    sandbox.assert.notCalled(plugin.removeGlobalTableReplicas);
+    await plugin.createGlobalTable(aas, dynamodb, serverless.getProvider().getCredentials(), 'us-west-2', 'test-table', ['us-east-2'], 'v1', true, serverless.cli, { pruneRegions: true });
+    sandbox.assert.calledOnce(plugin.removeGlobalTableReplicas);
+    plugin.removeGlobalTableReplicas.lastCall.args[2].should.eql(['eu-west-1']);
+  });
   
   context("when create stack is false", () => {
     it ('should create the table with ProvisionedThroughput if billing mode is not PAY_PER_REQUEST', async () => {
       await plugin.createGlobalTable(aas, dynamodb, serverless.getProvider().getCredentials(), 'us-west-2', 'test-table', ['us-east-2'], 'v1', false, serverless.cli);
       sandbox.assert.calledOnce(dynamodb.describeTable);
+      aas.describeScalableTargets.lastCall.args[0].ResourceIds.should.eql(['table/test-table', 'table/test-table/index/gsi']);
+      sandbox.assert.calledTwice(aas.describeScalingPolicies);
       plugin.createNewTableAndSetScalingPolicy.lastCall.args[2].should.eql({ AttributeDefinitions: {},
         KeySchema: '',
         TableName: 'test-table',
@@ -678,11 +1887,50 @@ describe('test createGlobalTable function', () => {
         Tags: {} });
     });
 
+    it ('should sync the existing replica tables with the source table', async () => {
+      plugin.getRegionsToCreateGlobalTablesIn.restore();
+      sandbox.stub(plugin, 'getRegionsToCreateGlobalTablesIn').returns(Promise.resolve({
+        missingRegions: [],
+        addingNewRegions: false
+      }));
+      await plugin.createGlobalTable(aas, dynamodb, serverless.getProvider().getCredentials(), 'us-west-2', 'test-table', ['us-east-2'], 'v1', false, serverless.cli);
+      sandbox.assert.calledOnce(plugin.syncReplicaTable);
+      plugin.syncReplicaTable.lastCall.args[1].should.eql(stubbedTable.Table);
+      plugin.syncReplicaTable.lastCall.args[2].should.eql('us-east-2');
+      sandbox.assert.notCalled(plugin.createNewTableAndSetScalingPolicy);
+    });
+
+    it ('should encrypt the replica table with the KMS key of the region', async () => {
+      stubbedTable.Table.SSEDescription = { Status: 'ENABLED', SSEType: 'KMS', KMSMasterKeyArn: 'source-key-arn' };
+      await plugin.createGlobalTable(aas, dynamodb, serverless.getProvider().getCredentials(), 'us-west-2', 'test-table', ['us-west-1'], 'v1', false, serverless.cli, {
+        kmsKeys: { 'us-west-1': 'alias/replica-key' }
+      });
+      plugin.createNewTableAndSetScalingPolicy.lastCall.args[2].SSESpecification.should.eql({
+        Enabled: true, SSEType: 'KMS', KMSMasterKeyId: 'alias/replica-key'
+      });
+    });
+
     it ('should create the table by using v2 version', async () => {
       stubbedTable.Table.BillingModeSummary = { BillingMode: "PAY_PER_REQUEST" };
       await plugin.createGlobalTable(aas, dynamodb, serverless.getProvider().getCredentials(), 'us-west-2', 'test-table', ['us-east-2'], 'v2', false, serverless.cli);
       sandbox.assert.calledOnce(dynamodb.updateTable);
-      sandbox.assert.calledTwice(dynamodb.waitFor);
+      sandbox.assert.calledTwice(plugin.waitForTableActive);
+      sandbox.assert.calledOnce(plugin.applyReplicaSettings);
+      plugin.applyReplicaSettings.lastCall.args[3].should.eql('us-west-1');
+    });
+
+    it ('should create the table with the table class and deletion protection of the source table', async () => {
+      plugin.getTableSettings.restore();
+      sandbox.stub(plugin, 'getTableSettings').returns(Promise.resolve({
+        tableClass: 'STANDARD_INFREQUENT_ACCESS',
+        deletionProtection: true,
+        pointInTimeRecovery: true
+      }));
+      await plugin.createGlobalTable(aas, dynamodb, serverless.getProvider().getCredentials(), 'us-west-2', 'test-table', ['us-east-2'], 'v1', false, serverless.cli);
+      plugin.createNewTableAndSetScalingPolicy.lastCall.args[2].TableClass.should.eql('STANDARD_INFREQUENT_ACCESS');
+      plugin.createNewTableAndSetScalingPolicy.lastCall.args[2].DeletionProtectionEnabled.should.eql(true);
+      sandbox.assert.calledOnce(plugin.applyReplicaSettings);
+      plugin.applyReplicaSettings.lastCall.args[2].pointInTimeRecovery.should.eql(true);
     });
   })
 });
@@ -716,6 +1964,43 @@ describe('test getTableNamesFromStack function', () => {
   });
 });
 
+describe('test getTablesFromStack function', () => {
+  const sandbox = sinon.createSandbox();
+  const cfn = new AWS.CloudFormation();
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it ('should retry the throttled calls', async () => {
+    const err = new Error('Rate exceeded');
+    err.code = 'Throttling';
+    sandbox.stub(plugin, 'sleep').returns(Promise.resolve());
+    sandbox.stub(cfn, 'listStackResources')
+      .onFirstCall().returns({ promise: () => Promise.reject(err) })
+      .onSecondCall().returns({ promise: () => Promise.resolve({
+        StackResourceSummaries: [{ ResourceType: 'AWS::DynamoDB::Table', LogicalResourceId: 'TestTable', PhysicalResourceId: 'test-table' }]
+      }) });
+    const resp = await plugin.getTablesFromStack(cfn, 'test-stack');
+    resp.should.eql([{ logicalId: 'TestTable', tableName: 'test-table' }]);
+    sandbox.assert.calledTwice(cfn.listStackResources);
+  });
+});
+
+describe('test getPluginContext function', () => {
+  const sandbox = sinon.createSandbox();
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it ('should not configure the retries', () => {
+    serverless.service.custom.globalTables = { timeout: 5 };
+    sandbox.stub(plugin, 'configureRetries');
+    const context = plugin.getPluginContext(serverless);
+    context.globalTablesOptions.should.eql({ timeout: 5 });
+    sandbox.assert.notCalled(plugin.configureRetries);
+  });
+});
+
 describe('test getTableNamesFromStack function no DynamoDb found', () => {
   let cfn;
   before(() => {
@@ -739,3 +2024,1106 @@ describe('test getTableNamesFromStack function no DynamoDb found', () => {
     resp.should.have.length(0);
   });
 });
+
+describe('test stackExists function', () => {
+  const cfn = new AWS.CloudFormation();
+  afterEach(() => {
+    cfn.describeStacks.restore();
+  });
+  it ('should return true if the stack exists', async () => {
+    sinon.stub(cfn, 'describeStacks').returns({
+      promise: () => { return Promise.resolve({ Stacks: [{ StackStatus: 'CREATE_COMPLETE' }] }) }
+    });
+    const resp = await plugin.stackExists(cfn, 'test-stack');
+    resp.should.eql(true);
+  });
+
+  it ('should return false if the stack does not exist', async () => {
+    const error = new Error('Stack with id test-stack does not exist');
+    error.code = 'ValidationError';
+    sinon.stub(cfn, 'describeStacks').returns({
+      promise: () => { return Promise.reject(error) }
+    });
+    const resp = await plugin.stackExists(cfn, 'test-stack');
+    resp.should.eql(false);
+  });
+});
+
+describe('test getTablePlan function', () => {
+  const sandbox = sinon.createSandbox();
+  const dynamodb = new AWS.DynamoDB();
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it ('should plan the v1 table and global table creation and the replica table updates', async () => {
+    sandbox.stub(plugin, 'getRegionsToCreateGlobalTablesIn').returns(Promise.resolve({
+      missingRegions: ['us-east-1'],
+      addingNewRegions: true
+    }));
+    sandbox.stub(dynamodb, 'describeTable').returns({ promise: () => Promise.resolve({ Table: { TableName: 'test-table' } }) });
+    sandbox.stub(plugin, 'getReplicaSyncUpdates').returns(Promise.resolve([
+      { TableName: 'test-table', ProvisionedThroughput: { ReadCapacityUnits: 5, WriteCapacityUnits: 5 } }
+    ]));
+    const resp = await plugin.getTablePlan(dynamodb, 'us-west-2', {
+      tableName: 'test-table', regions: ['us-west-1', 'us-east-1']
+    }, false, false, serverless.cli, { credentials: '' });
+    resp.should.eql({
+      tableName: 'test-table',
+      version: 'v1',
+      regions: [
+        { region: 'us-west-1', action: 'update', calls: ['dynamodb.updateTable (ProvisionedThroughput)'] },
+        { region: 'us-east-1', action: 'create', calls: ['dynamodb.createTable', 'dynamodb.updateGlobalTable (ReplicaUpdates: Create)'] }
+      ]
+    });
+    sandbox.assert.calledOnce(plugin.getReplicaSyncUpdates);
+    plugin.getReplicaSyncUpdates.lastCall.args[0].config.region.should.eql('us-west-1');
+    plugin.getReplicaSyncUpdates.lastCall.args[2].should.eql({ TableName: 'test-table' });
+  });
+
+  it ('should not plan the replica table updates when the stack creates the tables', async () => {
+    sandbox.stub(plugin, 'getRegionsToCreateGlobalTablesIn').returns(Promise.resolve({
+      missingRegions: [],
+      addingNewRegions: true
+    }));
+    sandbox.stub(plugin, 'getReplicaSyncUpdates').returns(Promise.resolve([]));
+    const resp = await plugin.getTablePlan(dynamodb, 'us-west-2', {
+      tableName: 'test-table', regions: ['us-west-1']
+    }, true, false, serverless.cli);
+    resp.regions.should.eql([{ region: 'us-west-1', action: 'none', calls: [] }]);
+    sandbox.assert.notCalled(plugin.getReplicaSyncUpdates);
+  });
+
+  it ('should plan the v2 replica creation', async () => {
+    sandbox.stub(plugin, 'getRegionsToCreateGlobalTablesIn').returns(Promise.resolve({
+      missingRegions: ['us-east-1'],
+      addingNewRegions: false
+    }));
+    const resp = await plugin.getTablePlan(dynamodb, 'us-west-2', {
+      tableName: 'test-table', regions: ['us-east-1'], version: 'v2'
+    }, true, false, serverless.cli);
+    resp.regions.should.eql([
+      { region: 'us-east-1', action: 'create', calls: ['dynamodb.updateTable (ReplicaUpdates: Create)'] }
+    ]);
+  });
+
+  it ('should plan the removal of the replicas not specified anymore', async () => {
+    sandbox.stub(plugin, 'getRegionsToCreateGlobalTablesIn').returns(Promise.resolve({
+      missingRegions: [],
+      addingNewRegions: false,
+      extraRegions: ['eu-west-1']
+    }));
+    const tableConfig = { tableName: 'test-table', regions: ['us-east-1'], version: 'v2' };
+    let resp = await plugin.getTablePlan(dynamodb, 'us-west-2', tableConfig, true, false, serverless.cli);
+    resp.regions[1].should.eql({ region: 'eu-west-1', action: 'keep', calls: [] });
+    resp = await plugin.getTablePlan(dynamodb, 'us-west-2', tableConfig, true, true, serverless.cli);
+    resp.regions[1].should.eql({ region: 'eu-west-1', action: 'delete', calls: ['dynamodb.updateTable (ReplicaUpdates: Delete)'] });
+  });
+});
+
+describe('test planGlobalDynamodbTable function', () => {
+  const sandbox = sinon.createSandbox();
+  beforeEach(() => {
+    serverless.service.custom.globalTables = {
+      regions: ['us-east-2']
+    };
+    sandbox.stub(plugin, 'getTablesFromStack').returns(Promise.resolve([
+      { logicalId: 'TestTable', tableName: 'test-table-name' }
+    ]));
+    sandbox.stub(plugin, 'stackExists').returns(Promise.resolve(false));
+    sandbox.stub(plugin, 'getTablePlan').returns(Promise.resolve({ tableName: 'test-table-name', version: 'v1', regions: [] }));
+    sandbox.stub(plugin, 'createUpdateCfnStack').returns(Promise.resolve());
+    sandbox.stub(plugin, 'getSourceDeploymentBucket').returns(Promise.resolve('source-bucket'));
+    sandbox.stub(plugin, 'getStackSettings').returns(Promise.resolve({}));
+    sandbox.stub(plugin, 'publishReplicas').returns(Promise.resolve());
+    sandbox.stub(plugin, 'createGlobalTable').returns(Promise.resolve());
+    sandbox.stub(plugin, 'verifyGlobalTable').returns(Promise.resolve([]));
+  });
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it ('should plan the stack and table changes without making them', async () => {
+    const resp = await plugin.planGlobalDynamodbTable(serverless);
+    resp.stacks.should.eql([{ region: 'us-east-2', stackName: 'service-name-dev', action: 'create' }]);
+    resp.tables.should.have.length(1);
+    sandbox.assert.notCalled(plugin.createUpdateCfnStack);
+    sandbox.assert.notCalled(plugin.createGlobalTable);
+  });
+
+  it ('should not plan stacks when createStack is false', async () => {
+    serverless.service.custom.globalTables.createStack = false;
+    const resp = await plugin.planGlobalDynamodbTable(serverless);
+    resp.stacks.should.have.length(0);
+    sandbox.assert.notCalled(plugin.stackExists);
+  });
+});
+
+describe('test syncGlobalDynamodbTable function', () => {
+  const sandbox = sinon.createSandbox();
+  beforeEach(() => {
+    serverless.service.custom.globalTables = {
+      regions: ['us-east-2']
+    };
+    sandbox.stub(plugin, 'getTablesFromStack').returns(Promise.resolve([
+      { logicalId: 'TestTable', tableName: 'test-table-name' }
+    ]));
+    sandbox.stub(plugin, 'createGlobalTable').returns(Promise.resolve());
+    sandbox.stub(plugin, 'verifyGlobalTable').returns(Promise.resolve([]));
+    sandbox.stub(plugin, 'createUpdateCfnStack').returns(Promise.resolve());
+    sandbox.stub(plugin, 'getSourceDeploymentBucket').returns(Promise.resolve('source-bucket'));
+    sandbox.stub(plugin, 'getStackSettings').returns(Promise.resolve({}));
+    sandbox.stub(plugin, 'publishReplicas').returns(Promise.resolve());
+  });
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it ('should setup the global tables without deploying the stacks', async () => {
+    await plugin.syncGlobalDynamodbTable(serverless);
+    sandbox.assert.calledOnce(plugin.createGlobalTable);
+    sandbox.assert.notCalled(plugin.createUpdateCfnStack);
+    plugin.createGlobalTable.lastCall.args[7].should.eql(true);
+  });
+});
+
+describe('test addRegionToGlobalDynamodbTable function', () => {
+  const sandbox = sinon.createSandbox();
+  beforeEach(() => {
+    serverless.service.custom.globalTables = {
+      regions: ['us-east-2']
+    };
+    sandbox.stub(plugin, 'getTablesFromStack').returns(Promise.resolve([
+      { logicalId: 'TestTable', tableName: 'test-table-name' },
+      { logicalId: 'OtherTable', tableName: 'other-table-name' }
+    ]));
+    sandbox.stub(plugin, 'createGlobalTable').returns(Promise.resolve());
+    sandbox.stub(plugin, 'verifyGlobalTable').returns(Promise.resolve([]));
+    sandbox.stub(plugin, 'createUpdateCfnStack').returns(Promise.resolve());
+    sandbox.stub(plugin, 'getSourceDeploymentBucket').returns(Promise.resolve('source-bucket'));
+    sandbox.stub(plugin, 'getStackSettings').returns(Promise.resolve({}));
+    sandbox.stub(plugin, 'publishReplicas').returns(Promise.resolve());
+    sandbox.stub(plugin, 'getDeployedTemplate').returns(Promise.resolve({ Resources: {} }));
+  });
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it ('should deploy the stack and add the replica in the new region', async () => {
+    await plugin.addRegionToGlobalDynamodbTable(serverless, 'eu-west-1', 'TestTable');
+    sandbox.assert.calledOnce(plugin.createUpdateCfnStack);
+    plugin.createUpdateCfnStack.lastCall.args[1].should.eql({ Resources: {} });
+    plugin.createUpdateCfnStack.lastCall.args[3].should.eql('eu-west-1');
+    sandbox.assert.calledOnce(plugin.createGlobalTable);
+    plugin.createGlobalTable.lastCall.args[4].should.eql('test-table-name');
+    plugin.createGlobalTable.lastCall.args[5].should.eql(['us-east-2', 'eu-west-1']);
+    plugin.publishReplicas.lastCall.args[4].map(t => t.regions).should.eql([['us-east-2', 'eu-west-1'], ['us-east-2']]);
+  });
+
+  it ('should only add the replica when createStack is false', async () => {
+    serverless.service.custom.globalTables.createStack = false;
+    await plugin.addRegionToGlobalDynamodbTable(serverless, 'eu-west-1');
+    sandbox.assert.notCalled(plugin.createUpdateCfnStack);
+    sandbox.assert.calledTwice(plugin.createGlobalTable);
+  });
+
+  it ('should not add the service region', async () => {
+    await plugin.addRegionToGlobalDynamodbTable(serverless, 'us-west-2');
+    sandbox.assert.notCalled(plugin.getTablesFromStack);
+    sandbox.assert.notCalled(plugin.createGlobalTable);
+  });
+});
+
+describe('test getGlobalTableReplicas function', () => {
+  const dynamodb = new AWS.DynamoDB();
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it ('should return the v2 replicas along with the source table', async () => {
+    sinon.stub(dynamodb, 'describeTable').returns({
+      promise: () => { return Promise.resolve({
+        Table: {
+          TableStatus: 'ACTIVE',
+          Replicas: [{ RegionName: 'us-east-1', ReplicaStatus: 'CREATING' }]
+        }
+      })}
+    });
+    const resp = await plugin.getGlobalTableReplicas(dynamodb, 'us-west-2', 'test-table', 'v2');
+    resp.should.eql([
+      { region: 'us-west-2', status: 'ACTIVE' },
+      { region: 'us-east-1', status: 'CREATING' }
+    ]);
+  });
+
+  it ('should return no replica if v1 global table does not exist', async () => {
+    const error = new Error('forced error');
+    error.code = 'GlobalTableNotFoundException';
+    sinon.stub(dynamodb, 'describeGlobalTable').returns({
+      promise: () => { return Promise.reject(error) }
+    });
+    const resp = await plugin.getGlobalTableReplicas(dynamodb, 'us-west-2', 'test-table', 'v1');
+    resp.should.have.length(0);
+  });
+});
+
+describe('test statusGlobalDynamodbTable function', () => {
+  const sandbox = sinon.createSandbox();
+  beforeEach(() => {
+    serverless.service.custom.globalTables = {
+      regions: ['us-east-2', 'eu-west-1']
+    };
+    sandbox.stub(plugin, 'getTablesFromStack').returns(Promise.resolve([
+      { logicalId: 'TestTable', tableName: 'test-table-name' }
+    ]));
+    sandbox.stub(plugin, 'getGlobalTableReplicas').returns(Promise.resolve([
+      { region: 'us-west-2', status: 'ACTIVE' },
+      { region: 'us-east-2', status: 'ACTIVE' },
+      { region: 'ap-south-1', status: 'ACTIVE' }
+    ]));
+  });
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it ('should return the status of each configured region', async () => {
+    const resp = await plugin.statusGlobalDynamodbTable(serverless);
+    resp.should.eql([{
+      tableName: 'test-table-name',
+      version: 'v1',
+      replicas: [
+        { region: 'us-west-2', status: 'ACTIVE', configured: true },
+        { region: 'us-east-2', status: 'ACTIVE', configured: true },
+        { region: 'ap-south-1', status: 'ACTIVE', configured: false },
+        { region: 'eu-west-1', status: 'NOT_CREATED', configured: true }
+      ]
+    }]);
+  });
+});
+
+describe('test checkStackDeleteStatus function', () => {
+  it ('should return true if the stack does not exist anymore', async () => {
+    const error = new Error('Stack with id test-stack does not exist');
+    error.code = 'ValidationError';
+    const cfnMock = {
+      describeStacks: () => { return { promise: () => Promise.reject(error) } }
+    };
+    const resp = await plugin.checkStackDeleteStatus(cfnMock, 'test-stack', 'us-west-2', serverless.cli);
+    resp.should.eql(true);
+  }).timeout(TIMEOUT);
+
+  it ('should return false if the stack deletion failed', async () => {
+    const cfnMock = {
+      describeStacks: () => { return { promise: sinon.fake.resolves({ Stacks: [{ StackStatus: 'DELETE_FAILED' }] }) } }
+    };
+    const resp = await plugin.checkStackDeleteStatus(cfnMock, 'test-stack', 'us-west-2', serverless.cli);
+    resp.should.eql(false);
+  }).timeout(TIMEOUT);
+});
+
+describe('test waitForTableDeleted function', () => {
+  const sandbox = sinon.createSandbox();
+  const dynamodb = new AWS.DynamoDB();
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it ('should wait until the table is not found', async () => {
+    sandbox.stub(plugin, 'sleep').returns(Promise.resolve());
+    const err = new Error('Requested resource not found');
+    err.code = 'ResourceNotFoundException';
+    sandbox.stub(dynamodb, 'describeTable')
+      .onFirstCall().returns({ promise: () => Promise.resolve({ Table: { TableStatus: 'DELETING' } }) })
+      .onSecondCall().returns({ promise: () => Promise.reject(err) });
+    await plugin.waitForTableDeleted(dynamodb, 'test-table');
+    sandbox.assert.calledTwice(dynamodb.describeTable);
+  });
+});
+
+describe('test deleteReplicaTables function', () => {
+  const sandbox = sinon.createSandbox();
+  const dynamodb = new AWS.DynamoDB({ region: 'us-west-2' });
+  const proto = Object.getPrototypeOf(new AWS.DynamoDB({ region: 'us-west-2' }));
+  beforeEach(() => {
+    sandbox.stub(plugin, 'sleep').returns(Promise.resolve());
+    sandbox.stub(plugin, 'waitForTableDeleted').returns(Promise.resolve());
+  });
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it ('should delete the tables once they are out of the replication group', async () => {
+    sandbox.stub(plugin, 'getGlobalTableReplicas')
+      .onFirstCall().returns(Promise.resolve([{ region: 'us-west-2' }, { region: 'eu-west-1' }]))
+      .onSecondCall().returns(Promise.resolve([{ region: 'us-west-2' }]));
+    const deletedIn = [];
+    sandbox.stub(proto, 'deleteTable').callsFake(function (params) {
+      deletedIn.push(this.config.region);
+      return { promise: () => Promise.resolve({ TableDescription: { TableName: params.TableName } }) };
+    });
+    await plugin.deleteReplicaTables(dynamodb, '', 'us-west-2', 'test-table', ['eu-west-1', 'us-east-1'], {}, serverless.cli);
+    sandbox.assert.calledTwice(plugin.getGlobalTableReplicas);
+    deletedIn.should.eql(['eu-west-1', 'us-east-1']);
+    proto.deleteTable.firstCall.args[0].should.eql({ TableName: 'test-table' });
+    sandbox.assert.calledTwice(plugin.waitForTableDeleted);
+  });
+
+  it ('should skip the tables which are already deleted', async () => {
+    sandbox.stub(plugin, 'getGlobalTableReplicas').returns(Promise.resolve([{ region: 'us-west-2' }]));
+    const err = new Error('Requested resource not found');
+    err.code = 'ResourceNotFoundException';
+    sandbox.stub(proto, 'deleteTable').returns({ promise: () => Promise.reject(err) });
+    await plugin.deleteReplicaTables(dynamodb, '', 'us-west-2', 'test-table', ['eu-west-1'], {}, serverless.cli);
+    sandbox.assert.calledOnce(plugin.waitForTableDeleted);
+  });
+});
+
+describe('test removeGlobalDynamodbTable function', () => {
+  const sandbox = sinon.createSandbox();
+  beforeEach(() => {
+    serverless.service.custom.globalTables = {
+      regions: ['us-east-2']
+    };
+    sandbox.stub(plugin, 'getTablesFromStack').returns(Promise.resolve([
+      { logicalId: 'TestTable', tableName: 'test-table-name' }
+    ]));
+    sandbox.stub(plugin, 'getGlobalTableReplicas').returns(Promise.resolve([
+      { region: 'us-west-2', status: 'ACTIVE' },
+      { region: 'us-east-2', status: 'ACTIVE' }
+    ]));
+    sandbox.stub(plugin, 'removeGlobalTableReplicas').returns(Promise.resolve());
+    sandbox.stub(plugin, 'deleteReplicaTables').returns(Promise.resolve());
+    sandbox.stub(plugin, 'deleteReplicaParameters').returns(Promise.resolve());
+  });
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it ('should remove the replicas of each table', async () => {
+    await plugin.removeGlobalDynamodbTable(serverless);
+    sandbox.assert.calledOnce(plugin.removeGlobalTableReplicas);
+    plugin.removeGlobalTableReplicas.lastCall.args[1].should.eql('test-table-name');
+    plugin.removeGlobalTableReplicas.lastCall.args[2].should.eql(['us-east-2']);
+    sandbox.assert.notCalled(plugin.deleteReplicaTables);
+    sandbox.assert.notCalled(plugin.deleteReplicaParameters);
+  });
+
+  it ('should delete the detached v1 replica tables when createStack is false', async () => {
+    serverless.service.custom.globalTables.createStack = false;
+    await plugin.removeGlobalDynamodbTable(serverless);
+    sandbox.assert.calledOnce(plugin.deleteReplicaTables);
+    plugin.deleteReplicaTables.lastCall.args.slice(2, 5).should.eql(['us-west-2', 'test-table-name', ['us-east-2']]);
+    sandbox.assert.callOrder(plugin.removeGlobalTableReplicas, plugin.deleteReplicaTables);
+  });
+
+  it ('should not delete the v2 replica tables again when createStack is false', async () => {
+    serverless.service.custom.globalTables = { regions: ['us-east-2'], version: 'v2', createStack: false };
+    await plugin.removeGlobalDynamodbTable(serverless);
+    sandbox.assert.calledOnce(plugin.removeGlobalTableReplicas);
+    sandbox.assert.notCalled(plugin.deleteReplicaTables);
+  });
+
+  it ('should delete the replication alarms if alarms are set', async () => {
+    serverless.service.custom.globalTables.alarms = { replicationLatency: 60000 };
+    sandbox.stub(plugin, 'deleteReplicaAlarms').returns(Promise.resolve());
+    await plugin.removeGlobalDynamodbTable(serverless);
+    sandbox.assert.calledOnce(plugin.deleteReplicaAlarms);
+    plugin.deleteReplicaAlarms.lastCall.args.slice(1, 3).should.eql(['test-table-name', []]);
+  });
+
+  it ('should delete the parameters if ssmParameters is set', async () => {
+    serverless.service.custom.globalTables.ssmParameters = true;
+    await plugin.removeGlobalDynamodbTable(serverless);
+    sandbox.assert.calledOnce(plugin.deleteReplicaParameters);
+    plugin.deleteReplicaParameters.lastCall.args[1].should.eql('/service-name/dev/globalTables');
+    plugin.deleteReplicaParameters.lastCall.args[3][0].logicalId.should.eql('TestTable');
+  });
+
+  it ('should skip if global table options is not provided', async () => {
+    serverless.service.custom.globalTables = {};
+    await plugin.removeGlobalDynamodbTable(serverless);
+    sandbox.assert.notCalled(plugin.getTablesFromStack);
+    sandbox.assert.notCalled(plugin.removeGlobalTableReplicas);
+  });
+});
+
+describe('test emptyDeploymentBucket function', () => {
+  const sandbox = sinon.createSandbox();
+  const s3 = new AWS.S3();
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it ('should delete the objects of each page of the bucket', async () => {
+    sandbox.stub(s3, 'listObjectsV2')
+      .onFirstCall().returns({ promise: () => Promise.resolve({
+        Contents: [{ Key: 'a.zip', Size: 1 }], IsTruncated: true, NextContinuationToken: 'next'
+      }) })
+      .onSecondCall().returns({ promise: () => Promise.resolve({ Contents: [{ Key: 'b.json' }], IsTruncated: false }) });
+    sandbox.stub(s3, 'deleteObjects').returns({ promise: () => Promise.resolve({}) });
+    await plugin.emptyDeploymentBucket(s3, 'regional-bucket', 'eu-west-1', serverless.cli);
+    s3.listObjectsV2.secondCall.args[0].should.eql({ Bucket: 'regional-bucket', ContinuationToken: 'next' });
+    sandbox.assert.calledTwice(s3.deleteObjects);
+    s3.deleteObjects.firstCall.args[0].should.eql({ Bucket: 'regional-bucket', Delete: { Objects: [{ Key: 'a.zip' }] } });
+    s3.deleteObjects.secondCall.args[0].Delete.Objects.should.eql([{ Key: 'b.json' }]);
+  });
+
+  it ('should not delete anything when the bucket is empty', async () => {
+    sandbox.stub(s3, 'listObjectsV2').returns({ promise: () => Promise.resolve({ Contents: [], IsTruncated: false }) });
+    sandbox.stub(s3, 'deleteObjects').returns({ promise: () => Promise.resolve({}) });
+    await plugin.emptyDeploymentBucket(s3, 'regional-bucket', 'eu-west-1', serverless.cli);
+    sandbox.assert.notCalled(s3.deleteObjects);
+  });
+});
+
+describe('test removeRegionalStacks function', () => {
+  const sandbox = sinon.createSandbox();
+  beforeEach(() => {
+    sandbox.stub(plugin, 'deleteCfnStack').returns(Promise.resolve());
+    sandbox.stub(plugin, 'stackExists').returns(Promise.resolve(true));
+    sandbox.stub(plugin, 'applyStackProtection').returns(Promise.resolve());
+    sandbox.stub(plugin, 'getStackDeploymentBucket').returns(Promise.resolve());
+    sandbox.stub(plugin, 'emptyDeploymentBucket').returns(Promise.resolve());
+  });
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it ('should disable the termination protection before deleting the stacks', async () => {
+    serverless.service.custom.globalTables = {
+      regions: ['us-east-2']
+    };
+    await plugin.removeRegionalStacks(serverless);
+    sandbox.assert.calledOnce(plugin.applyStackProtection);
+    plugin.applyStackProtection.lastCall.args[2].should.eql({ terminationProtection: false });
+    sandbox.assert.callOrder(plugin.applyStackProtection, plugin.deleteCfnStack);
+  });
+
+  it ('should empty the deployment bucket of the stacks before deleting them', async () => {
+    serverless.service.custom.globalTables = {
+      regions: ['us-east-2']
+    };
+    plugin.getStackDeploymentBucket.returns(Promise.resolve('regional-bucket'));
+    await plugin.removeRegionalStacks(serverless);
+    sandbox.assert.calledOnce(plugin.emptyDeploymentBucket);
+    plugin.emptyDeploymentBucket.lastCall.args.slice(1, 3).should.eql(['regional-bucket', 'us-east-2']);
+    sandbox.assert.callOrder(plugin.emptyDeploymentBucket, plugin.deleteCfnStack);
+  });
+
+  it ('should not empty any bucket when the stack has no deployment bucket', async () => {
+    serverless.service.custom.globalTables = {
+      regions: ['us-east-2']
+    };
+    await plugin.removeRegionalStacks(serverless);
+    sandbox.assert.notCalled(plugin.emptyDeploymentBucket);
+    sandbox.assert.calledOnce(plugin.deleteCfnStack);
+  });
+
+  it ('should skip the regions in which the stack does not exist', async () => {
+    serverless.service.custom.globalTables = {
+      regions: ['us-east-2']
+    };
+    plugin.stackExists.returns(Promise.resolve(false));
+    await plugin.removeRegionalStacks(serverless);
+    sandbox.assert.notCalled(plugin.applyStackProtection);
+    sandbox.assert.notCalled(plugin.deleteCfnStack);
+  });
+
+  it ('should delete the stacks in all the configured regions', async () => {
+    serverless.service.custom.globalTables = {
+      regions: ['us-east-2'],
+      tables: {
+        TestTable: { regions: ['eu-west-1', 'us-west-2'] },
+        OtherTable: { regions: ['ap-south-1'], enabled: false }
+      }
+    };
+    await plugin.removeRegionalStacks(serverless);
+    sandbox.assert.calledTwice(plugin.deleteCfnStack);
+    plugin.deleteCfnStack.firstCall.args[2].should.eql('us-east-2');
+    plugin.deleteCfnStack.secondCall.args[2].should.eql('eu-west-1');
+  });
+
+  it ('should not delete any stack when createStack is false', async () => {
+    serverless.service.custom.globalTables = {
+      regions: ['us-east-2'],
+      createStack: false
+    };
+    await plugin.removeRegionalStacks(serverless);
+    sandbox.assert.notCalled(plugin.deleteCfnStack);
+  });
+});
+
+describe('test getUpgradeIssues function', () => {
+  const sandbox = sinon.createSandbox();
+  let tables;
+  beforeEach(() => {
+    const table = () => ({
+      TableStatus: 'ACTIVE',
+      StreamSpecification: { StreamEnabled: true, StreamViewType: 'NEW_AND_OLD_IMAGES' },
+      ProvisionedThroughput: { ReadCapacityUnits: 5, WriteCapacityUnits: 5 },
+      GlobalSecondaryIndexes: [{ IndexName: 'gsi' }]
+    });
+    tables = { 'us-west-2': table(), 'us-east-1': table() };
+    sandbox.stub(AWS, 'DynamoDB').callsFake(({ region }) => ({
+      describeTable: () => ({ promise: () => Promise.resolve({ Table: tables[region] }) }),
+      describeTimeToLive: () => ({ promise: () => Promise.resolve({ TimeToLiveDescription: { TimeToLiveStatus: 'DISABLED' } }) })
+    }));
+  });
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it ('should return no issue if the replicas are consistent', async () => {
+    const resp = await plugin.getUpgradeIssues('', 'us-west-2', 'test-table', ['us-west-2', 'us-east-1']);
+    resp.should.have.length(0);
+  });
+
+  it ('should return the inconsistent settings', async () => {
+    tables['us-east-1'].GlobalSecondaryIndexes = [];
+    tables['us-east-1'].ProvisionedThroughput.WriteCapacityUnits = 10;
+    tables['us-east-1'].TableStatus = 'UPDATING';
+    const resp = await plugin.getUpgradeIssues('', 'us-west-2', 'test-table', ['us-west-2', 'us-east-1']);
+    resp.should.have.length(3);
+  });
+
+  it ('should describe the replicas with the credentials of their region', async () => {
+    const regionCredentials = { accessKeyId: 'replica-key' };
+    sandbox.stub(plugin, 'getRegionCredentials').callsFake((creds, region) => (region === 'us-east-1' ? regionCredentials : creds));
+    await plugin.getUpgradeIssues('', 'us-west-2', 'test-table', ['us-west-2', 'us-east-1'], { 'us-east-1': { profile: 'dr' } });
+    AWS.DynamoDB.lastCall.args[0].should.eql({ credentials: regionCredentials, region: 'us-east-1' });
+    plugin.getRegionCredentials.lastCall.args[2].should.eql({ 'us-east-1': { profile: 'dr' } });
+  });
+});
+
+describe('test upgradeGlobalTable function', () => {
+  const sandbox = sinon.createSandbox();
+  const dynamodb = new AWS.DynamoDB();
+  beforeEach(() => {
+    sandbox.stub(plugin, 'getUpgradeIssues').returns(Promise.resolve([]));
+    sandbox.stub(plugin, 'waitForGlobalTableUpgrade').returns(Promise.resolve(true));
+  });
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it ('should wait for the upgrade of v1 global table', async () => {
+    sandbox.stub(dynamodb, 'describeGlobalTable').returns({
+      promise: () => { return Promise.resolve({
+        GlobalTableDescription: { ReplicationGroup: [{ RegionName: 'us-west-2' }, { RegionName: 'us-east-1' }] }
+      })}
+    });
+    const resp = await plugin.upgradeGlobalTable(dynamodb, '', 'us-west-2', 'test-table', serverless.cli, { 'us-east-1': { profile: 'dr' } });
+    resp.should.eql(true);
+    plugin.getUpgradeIssues.lastCall.args[3].should.eql(['us-west-2', 'us-east-1']);
+    plugin.getUpgradeIssues.lastCall.args[4].should.eql({ 'us-east-1': { profile: 'dr' } });
+    sandbox.assert.calledOnce(plugin.waitForGlobalTableUpgrade);
+  });
+
+  it ('should not wait for the upgrade if preconditions are not met', async () => {
+    sandbox.stub(dynamodb, 'describeGlobalTable').returns({
+      promise: () => { return Promise.resolve({
+        GlobalTableDescription: { ReplicationGroup: [{ RegionName: 'us-west-2' }] }
+      })}
+    });
+    plugin.getUpgradeIssues.restore();
+    sandbox.stub(plugin, 'getUpgradeIssues').returns(Promise.resolve(['some issue']));
+    const resp = await plugin.upgradeGlobalTable(dynamodb, '', 'us-west-2', 'test-table', serverless.cli);
+    resp.should.eql(false);
+    sandbox.assert.notCalled(plugin.waitForGlobalTableUpgrade);
+  });
+
+  it ('should skip the table already on v2', async () => {
+    const error = new Error('forced error');
+    error.code = 'GlobalTableNotFoundException';
+    sandbox.stub(dynamodb, 'describeGlobalTable').returns({
+      promise: () => { return Promise.reject(error) }
+    });
+    sandbox.stub(dynamodb, 'describeTable').returns({
+      promise: () => { return Promise.resolve({ Table: { GlobalTableVersion: '2019.11.21' } }) }
+    });
+    const resp = await plugin.upgradeGlobalTable(dynamodb, '', 'us-west-2', 'test-table', serverless.cli);
+    resp.should.eql(true);
+    sandbox.assert.notCalled(plugin.getUpgradeIssues);
+  });
+});
+
+describe('test waitForGlobalTableUpgrade function', () => {
+  const sandbox = sinon.createSandbox();
+  const dynamodb = new AWS.DynamoDB();
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it ('should wait until the table is on v2', async () => {
+    sandbox.stub(plugin, 'sleep').returns(Promise.resolve());
+    const describeTable = sandbox.stub(dynamodb, 'describeTable');
+    describeTable.onFirstCall().returns({
+      promise: () => { return Promise.resolve({ Table: { TableStatus: 'UPDATING' } }) }
+    });
+    describeTable.returns({
+      promise: () => { return Promise.resolve({ Table: { TableStatus: 'ACTIVE', GlobalTableVersion: '2019.11.21' } }) }
+    });
+    const resp = await plugin.waitForGlobalTableUpgrade(dynamodb, 'test-table', serverless.cli);
+    resp.should.eql(true);
+    sandbox.assert.calledTwice(dynamodb.describeTable);
+  });
+
+  it ('should return false when the wait times out', async () => {
+    sandbox.stub(plugin, 'pollUntil').returns(Promise.reject(new Error('Timed out after 60 min waiting for upgrade')));
+    const resp = await plugin.waitForGlobalTableUpgrade(dynamodb, 'test-table', serverless.cli);
+    resp.should.eql(false);
+  });
+});
+
+describe('test getGlobalTableResource function', () => {
+  it ('should convert the provisioned table into global table', () => {
+    const resp = plugin.getGlobalTableResource({
+      Type: 'AWS::DynamoDB::Table',
+      DeletionPolicy: 'Retain',
+      Properties: {
+        TableName: 'test-table',
+        AttributeDefinitions: [{ AttributeName: 'Id', AttributeType: 'S' }],
+        KeySchema: [{ AttributeName: 'Id', KeyType: 'HASH' }],
+        ProvisionedThroughput: { ReadCapacityUnits: 5, WriteCapacityUnits: 10 },
+        GlobalSecondaryIndexes: [{
+          IndexName: 'gsi',
+          KeySchema: [{ AttributeName: 'Id', KeyType: 'HASH' }],
+          Projection: { ProjectionType: 'ALL' },
+          ProvisionedThroughput: { ReadCapacityUnits: 1, WriteCapacityUnits: 2 }
+        }],
+        PointInTimeRecoverySpecification: { PointInTimeRecoveryEnabled: true },
+        SSESpecification: { SSEEnabled: true, SSEType: 'KMS', KMSMasterKeyId: 'key-id' }
+      }
+    }, 'us-west-2', ['us-east-1']);
+    resp.should.eql({
+      Type: 'AWS::DynamoDB::GlobalTable',
+      DeletionPolicy: 'Retain',
+      Properties: {
+        TableName: 'test-table',
+        AttributeDefinitions: [{ AttributeName: 'Id', AttributeType: 'S' }],
+        KeySchema: [{ AttributeName: 'Id', KeyType: 'HASH' }],
+        BillingMode: 'PROVISIONED',
+        StreamSpecification: { StreamViewType: 'NEW_AND_OLD_IMAGES' },
+        SSESpecification: { SSEEnabled: true, SSEType: 'KMS' },
+        WriteProvisionedThroughputSettings: {
+          WriteCapacityAutoScalingSettings: {
+            MinCapacity: 10,
+            MaxCapacity: 10,
+            TargetTrackingScalingPolicyConfiguration: { TargetValue: 70 }
+          }
+        },
+        GlobalSecondaryIndexes: [{
+          IndexName: 'gsi',
+          KeySchema: [{ AttributeName: 'Id', KeyType: 'HASH' }],
+          Projection: { ProjectionType: 'ALL' },
+          WriteProvisionedThroughputSettings: {
+            WriteCapacityAutoScalingSettings: {
+              MinCapacity: 2,
+              MaxCapacity: 2,
+              TargetTrackingScalingPolicyConfiguration: { TargetValue: 70 }
+            }
+          }
+        }],
+        Replicas: [
+          {
+            RegionName: 'us-west-2',
+            PointInTimeRecoverySpecification: { PointInTimeRecoveryEnabled: true },
+            ReadProvisionedThroughputSettings: { ReadCapacityUnits: 5 },
+            GlobalSecondaryIndexes: [{ IndexName: 'gsi', ReadProvisionedThroughputSettings: { ReadCapacityUnits: 1 } }],
+            SSESpecification: { KMSMasterKeyId: 'key-id' }
+          },
+          {
+            RegionName: 'us-east-1',
+            PointInTimeRecoverySpecification: { PointInTimeRecoveryEnabled: true },
+            ReadProvisionedThroughputSettings: { ReadCapacityUnits: 5 },
+            GlobalSecondaryIndexes: [{ IndexName: 'gsi', ReadProvisionedThroughputSettings: { ReadCapacityUnits: 1 } }]
+          }
+        ]
+      }
+    });
+  });
+
+  it ('should use the KMS key of each replica region', () => {
+    const resp = plugin.getGlobalTableResource({
+      Type: 'AWS::DynamoDB::Table',
+      Properties: {
+        BillingMode: 'PAY_PER_REQUEST',
+        SSESpecification: { SSEEnabled: true, SSEType: 'KMS', KMSMasterKeyId: 'source-key' }
+      }
+    }, 'us-west-2', ['us-east-1'], { 'us-east-1': 'replica-key' });
+    resp.Properties.Replicas.should.eql([
+      { RegionName: 'us-west-2', SSESpecification: { KMSMasterKeyId: 'source-key' } },
+      { RegionName: 'us-east-1', SSESpecification: { KMSMasterKeyId: 'replica-key' } }
+    ]);
+  });
+
+  it ('should convert the on demand table into global table', () => {
+    const resp = plugin.getGlobalTableResource({
+      Type: 'AWS::DynamoDB::Table',
+      Properties: {
+        BillingMode: 'PAY_PER_REQUEST',
+        StreamSpecification: { StreamViewType: 'KEYS_ONLY' },
+        Tags: [{ Key: 'key', Value: 'value' }]
+      }
+    }, 'us-west-2', ['us-west-2', 'us-east-1']);
+    resp.Properties.should.eql({
+      BillingMode: 'PAY_PER_REQUEST',
+      StreamSpecification: { StreamViewType: 'KEYS_ONLY' },
+      Replicas: [
+        { RegionName: 'us-west-2', Tags: [{ Key: 'key', Value: 'value' }] },
+        { RegionName: 'us-east-1', Tags: [{ Key: 'key', Value: 'value' }] }
+      ]
+    });
+  });
+});
+
+describe('test compileGlobalTables function', () => {
+  const sandbox = sinon.createSandbox();
+  beforeEach(() => {
+    serverless.service.provider.compiledCloudFormationTemplate = {
+      Resources: {
+        FirstTable: { Type: 'AWS::DynamoDB::Table', Properties: { BillingMode: 'PAY_PER_REQUEST' } }
+      }
+    };
+    serverless.service.resources = {
+      Resources: {
+        SecondTable: { Type: 'AWS::DynamoDB::Table', Properties: { TableName: 'second-table', BillingMode: 'PAY_PER_REQUEST' } },
+        Bucket: { Type: 'AWS::S3::Bucket' }
+      }
+    };
+  });
+  afterEach(() => {
+    delete serverless.service.provider.compiledCloudFormationTemplate;
+    delete serverless.service.resources;
+    sandbox.restore();
+  });
+
+  it ('should not change the template if useGlobalTableResource is not set', () => {
+    serverless.service.custom.globalTables = { regions: ['us-east-1'] };
+    plugin.compileGlobalTables(serverless);
+    serverless.service.provider.compiledCloudFormationTemplate.Resources.FirstTable.Type.should.eql('AWS::DynamoDB::Table');
+    serverless.service.resources.Resources.SecondTable.Type.should.eql('AWS::DynamoDB::Table');
+  });
+
+  it ('should convert the configured tables into global tables', () => {
+    serverless.service.custom.globalTables = {
+      regions: ['us-east-1'],
+      useGlobalTableResource: true,
+      tables: { 'second-table': true }
+    };
+    plugin.compileGlobalTables(serverless);
+    serverless.service.provider.compiledCloudFormationTemplate.Resources.FirstTable.Type.should.eql('AWS::DynamoDB::Table');
+    serverless.service.resources.Resources.SecondTable.Type.should.eql('AWS::DynamoDB::GlobalTable');
+    serverless.service.resources.Resources.SecondTable.Properties.Replicas.should.eql([
+      { RegionName: 'us-west-2' },
+      { RegionName: 'us-east-1' }
+    ]);
+    serverless.service.resources.Resources.Bucket.should.eql({ Type: 'AWS::S3::Bucket' });
+  });
+});
+
+describe('test getReplicaTableUpdates function', () => {
+  let sourceTable;
+  let replicaTable;
+  beforeEach(() => {
+    const table = () => ({
+      TableName: 'test-table',
+      AttributeDefinitions: [{ AttributeName: 'Id', AttributeType: 'S' }],
+      ProvisionedThroughput: { ReadCapacityUnits: 5, WriteCapacityUnits: 5, NumberOfDecreasesToday: 0 },
+      StreamSpecification: { StreamEnabled: true, StreamViewType: 'NEW_AND_OLD_IMAGES' },
+      GlobalSecondaryIndexes: [{
+        IndexName: 'gsi',
+        KeySchema: [],
+        Projection: {},
+        ProvisionedThroughput: { ReadCapacityUnits: 1, WriteCapacityUnits: 1 }
+      }]
+    });
+    sourceTable = table();
+    replicaTable = table();
+  });
+
+  it ('should return no update if the tables match', () => {
+    plugin.getReplicaTableUpdates(sourceTable, replicaTable).should.have.length(0);
+  });
+
+  it ('should update the throughput of table and indexes', () => {
+    sourceTable.ProvisionedThroughput.WriteCapacityUnits = 10;
+    sourceTable.GlobalSecondaryIndexes[0].ProvisionedThroughput.ReadCapacityUnits = 2;
+    plugin.getReplicaTableUpdates(sourceTable, replicaTable).should.eql([{
+      TableName: 'test-table',
+      ProvisionedThroughput: { ReadCapacityUnits: 5, WriteCapacityUnits: 10 },
+      GlobalSecondaryIndexUpdates: [{
+        Update: { IndexName: 'gsi', ProvisionedThroughput: { ReadCapacityUnits: 2, WriteCapacityUnits: 1 } }
+      }]
+    }]);
+  });
+
+  it ('should not update the throughput managed by auto scaling', () => {
+    sourceTable.ProvisionedThroughput.ReadCapacityUnits = 20;
+    sourceTable.ProvisionedThroughput.WriteCapacityUnits = 10;
+    sourceTable.GlobalSecondaryIndexes[0].ProvisionedThroughput.ReadCapacityUnits = 2;
+    const scalableTargets = [
+      { ResourceId: 'table/test-table', ScalableDimension: 'dynamodb:table:ReadCapacityUnits' },
+      { ResourceId: 'table/test-table/index/gsi', ScalableDimension: 'dynamodb:index:ReadCapacityUnits' }
+    ];
+    plugin.getReplicaTableUpdates(sourceTable, replicaTable, scalableTargets).should.eql([{
+      TableName: 'test-table',
+      ProvisionedThroughput: { ReadCapacityUnits: 5, WriteCapacityUnits: 10 }
+    }]);
+    sourceTable.ProvisionedThroughput.WriteCapacityUnits = 5;
+    plugin.getReplicaTableUpdates(sourceTable, replicaTable, scalableTargets).should.have.length(0);
+  });
+
+  it ('should switch the billing mode to PAY_PER_REQUEST', () => {
+    sourceTable.BillingModeSummary = { BillingMode: 'PAY_PER_REQUEST' };
+    plugin.getReplicaTableUpdates(sourceTable, replicaTable).should.eql([
+      { TableName: 'test-table', BillingMode: 'PAY_PER_REQUEST' }
+    ]);
+  });
+
+  it ('should delete and create the indexes', () => {
+    sourceTable.GlobalSecondaryIndexes[0].IndexName = 'new-gsi';
+    plugin.getReplicaTableUpdates(sourceTable, replicaTable).should.eql([
+      { TableName: 'test-table', GlobalSecondaryIndexUpdates: [{ Delete: { IndexName: 'gsi' } }] },
+      {
+        TableName: 'test-table',
+        AttributeDefinitions: [{ AttributeName: 'Id', AttributeType: 'S' }],
+        GlobalSecondaryIndexUpdates: [{
+          Create: {
+            IndexName: 'new-gsi',
+            KeySchema: [],
+            Projection: {},
+            ProvisionedThroughput: { ReadCapacityUnits: 1, WriteCapacityUnits: 1 }
+          }
+        }]
+      }
+    ]);
+  });
+
+  it ('should enable the stream', () => {
+    replicaTable.StreamSpecification = { StreamEnabled: true, StreamViewType: 'KEYS_ONLY' };
+    plugin.getReplicaTableUpdates(sourceTable, replicaTable).should.eql([
+      { TableName: 'test-table', StreamSpecification: { StreamEnabled: false } },
+      { TableName: 'test-table', StreamSpecification: { StreamEnabled: true, StreamViewType: 'NEW_AND_OLD_IMAGES' } }
+    ]);
+  });
+});
+
+describe('test getReplicaSyncUpdates function', () => {
+  const sandbox = sinon.createSandbox();
+  const dynamodb = new AWS.DynamoDB();
+  const aas = new AWS.ApplicationAutoScaling();
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it ('should pass the scalable targets of the replica table and indexes', async () => {
+    const replicaTable = { TableName: 'test-table', GlobalSecondaryIndexes: [{ IndexName: 'gsi' }] };
+    const scalableTargets = [{ ResourceId: 'table/test-table', ScalableDimension: 'dynamodb:table:ReadCapacityUnits' }];
+    sandbox.stub(dynamodb, 'describeTable').returns({ promise: () => Promise.resolve({ Table: replicaTable }) });
+    sandbox.stub(plugin, 'getScalingSettings').returns(Promise.resolve({ scalableTargets, scalingPolicies: [] }));
+    sandbox.stub(plugin, 'getReplicaTableUpdates').returns([]);
+    await plugin.getReplicaSyncUpdates(dynamodb, aas, { TableName: 'test-table' });
+    plugin.getScalingSettings.lastCall.args[1].should.eql(['table/test-table', 'table/test-table/index/gsi']);
+    plugin.getReplicaTableUpdates.lastCall.args.should.eql([{ TableName: 'test-table' }, replicaTable, scalableTargets]);
+  });
+});
+
+describe('test syncReplicaTable function', () => {
+  const sandbox = sinon.createSandbox();
+  const dynamodb = new AWS.DynamoDB();
+  beforeEach(() => {
+    sandbox.stub(dynamodb, 'describeTable').returns({
+      promise: () => { return Promise.resolve({ Table: {} }) }
+    });
+    sandbox.stub(dynamodb, 'updateTable').returns({
+      promise: () => { return Promise.resolve() }
+    });
+    sandbox.stub(plugin, 'waitForTableAndIndexesActive').returns(Promise.resolve());
+  });
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it ('should apply each update', async () => {
+    sandbox.stub(plugin, 'getReplicaTableUpdates').returns([{ TableName: 'test-table' }, { TableName: 'test-table' }]);
+    await plugin.syncReplicaTable(dynamodb, { TableName: 'test-table' }, 'us-east-1', serverless.cli);
+    sandbox.assert.calledTwice(dynamodb.updateTable);
+    sandbox.assert.calledThrice(plugin.waitForTableAndIndexesActive);
+  });
+
+  it ('should not update the table if nothing changed', async () => {
+    sandbox.stub(plugin, 'getReplicaTableUpdates').returns([]);
+    await plugin.syncReplicaTable(dynamodb, { TableName: 'test-table' }, 'us-east-1', serverless.cli);
+    sandbox.assert.notCalled(dynamodb.updateTable);
+  });
+});
+
+describe('test getScalingSettings function', () => {
+  const aas = new AWS.ApplicationAutoScaling();
+  before(() => {
+    const describeScalableTargets = sinon.stub(aas, 'describeScalableTargets');
+    describeScalableTargets.onFirstCall().returns({
+      promise: () => { return Promise.resolve({ ScalableTargets: [{ ResourceId: 'table/test-table' }], NextToken: 'token' }) }
+    });
+    describeScalableTargets.returns({
+      promise: () => { return Promise.resolve({ ScalableTargets: [{ ResourceId: 'table/test-table' }] }) }
+    });
+    sinon.stub(aas, 'describeScalingPolicies').returns({
+      promise: () => { return Promise.resolve({ ScalingPolicies: [{ PolicyName: 'policy' }] }) }
+    });
+  });
+  after(() => {
+    aas.describeScalableTargets.restore();
+    aas.describeScalingPolicies.restore();
+  });
+  it ('should return all the scalable targets and policies', async () => {
+    const resp = await plugin.getScalingSettings(aas, ['table/test-table']);
+    resp.scalableTargets.should.have.length(2);
+    resp.scalingPolicies.should.eql([{ PolicyName: 'policy' }]);
+    aas.describeScalableTargets.secondCall.args[0].NextToken.should.eql('token');
+  });
+});
+
+describe('test getTableSettings function', () => {
+  const sandbox = sinon.createSandbox();
+  const dynamodb = new AWS.DynamoDB();
+  beforeEach(() => {
+    sandbox.stub(dynamodb, 'describeContinuousBackups').returns({
+      promise: () => { return Promise.resolve({
+        ContinuousBackupsDescription: { PointInTimeRecoveryDescription: { PointInTimeRecoveryStatus: 'ENABLED' } }
+      })}
+    });
+    sandbox.stub(dynamodb, 'describeTimeToLive').returns({
+      promise: () => { return Promise.resolve({
+        TimeToLiveDescription: { TimeToLiveStatus: 'ENABLED', AttributeName: 'expiresAt' }
+      })}
+    });
+    sandbox.stub(dynamodb, 'describeContributorInsights').returns({
+      promise: () => { return Promise.resolve({ ContributorInsightsStatus: 'DISABLED' })}
+    });
+  });
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it ('should return the settings of the source table', async () => {
+    const resp = await plugin.getTableSettings(dynamodb, {
+      TableName: 'test-table',
+      DeletionProtectionEnabled: true,
+      TableClassSummary: { TableClass: 'STANDARD_INFREQUENT_ACCESS' }
+    });
+    resp.should.eql({
+      pointInTimeRecovery: true,
+      timeToLiveAttribute: 'expiresAt',
+      deletionProtection: true,
+      tableClass: 'STANDARD_INFREQUENT_ACCESS',
+      contributorInsights: false,
+      failures: []
+    });
+  });
+
+  it ('should list the settings which could not be read', async () => {
+    const err = new Error('User is not authorized to perform: dynamodb:DescribeContributorInsights');
+    err.code = 'AccessDeniedException';
+    dynamodb.describeContributorInsights.returns({ promise: () => Promise.reject(err) });
+    const resp = await plugin.getTableSettings(dynamodb, { TableName: 'test-table' });
+    resp.pointInTimeRecovery.should.eql(true);
+    resp.contributorInsights.should.eql(false);
+    resp.failures.should.eql([
+      'contributor insights (could not read the source table setting: User is not authorized to perform: dynamodb:DescribeContributorInsights)'
+    ]);
+  });
+});
+
+describe('test applyReplicaSettings function', () => {
+  const sandbox = sinon.createSandbox();
+  const dynamodb = new AWS.DynamoDB();
+  const settings = {
+    pointInTimeRecovery: true,
+    timeToLiveAttribute: 'expiresAt',
+    deletionProtection: true,
+    contributorInsights: true
+  };
+  beforeEach(() => {
+    ['updateContinuousBackups', 'updateTable', 'updateContributorInsights'].forEach(method => {
+      sandbox.stub(dynamodb, method).returns({
+        promise: () => { return Promise.resolve()}
+      });
+    });
+    sandbox.stub(plugin, 'waitForTableActive').returns(Promise.resolve());
+    sandbox.stub(dynamodb, 'updateTimeToLive').returns({
+      promise: () => { return Promise.reject(new Error('TTL failed'))}
+    });
+  });
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it ('should apply the settings and return the failed ones for v1', async () => {
+    const failures = await plugin.applyReplicaSettings(dynamodb, 'test-table', settings, 'us-east-1', 'v1', serverless.cli);
+    sandbox.assert.calledOnce(dynamodb.updateContinuousBackups);
+    sandbox.assert.calledOnce(dynamodb.updateContributorInsights);
+    sandbox.assert.notCalled(dynamodb.updateTable);
+    failures.should.eql(['time to live (TTL failed)']);
+  });
+
+  it ('should set the deletion protection and skip time to live for v2', async () => {
+    const failures = await plugin.applyReplicaSettings(dynamodb, 'test-table', settings, 'us-east-1', 'v2', serverless.cli);
+    dynamodb.updateTable.lastCall.args[0].should.eql({ TableName: 'test-table', DeletionProtectionEnabled: true });
+    sandbox.assert.notCalled(dynamodb.updateTimeToLive);
+    failures.should.eql([]);
+  });
+
+  it ('should report the settings which could not be read from the source table', async () => {
+    const failures = await plugin.applyReplicaSettings(dynamodb, 'test-table', Object.assign({}, settings, {
+      failures: ['contributor insights (could not read the source table setting: Access denied)']
+    }), 'us-east-1', 'v2', serverless.cli);
+    failures.should.eql(['contributor insights (could not read the source table setting: Access denied)']);
+  });
+});
+
+describe('test getReplicaSSESpecification function', () => {
+  it ('should return nothing if the source table uses AWS owned key', () => {
+    const resp = plugin.getReplicaSSESpecification({ TableName: 'test-table' }, 'us-east-1', {}, serverless.cli);
+    (resp === undefined).should.eql(true);
+  });
+
+  it ('should return the KMS key of the region', () => {
+    const table = { TableName: 'test-table', SSEDescription: { Status: 'ENABLED', SSEType: 'KMS' } };
+    plugin.getReplicaSSESpecification(table, 'us-east-1', { 'us-east-1': 'key-arn' }, serverless.cli).should.eql({
+      Enabled: true, SSEType: 'KMS', KMSMasterKeyId: 'key-arn'
+    });
+    plugin.getReplicaSSESpecification(table, 'eu-west-1', { 'us-east-1': 'key-arn' }, serverless.cli).should.eql({
+      Enabled: true, SSEType: 'KMS'
+    });
+  });
+});
+
+describe('test createGlobalTableV2 function', () => {
+  const sandbox = sinon.createSandbox();
+  const dynamodb = new AWS.DynamoDB();
+  beforeEach(() => {
+    sandbox.stub(plugin, 'waitForTableActive').returns(Promise.resolve({
+      Table: { TableName: 'test-table', SSEDescription: { Status: 'ENABLED', SSEType: 'KMS' } }
+    }));
+    sandbox.stub(dynamodb, 'updateTable').returns({
+      promise: () => { return Promise.resolve()}
+    });
+  });
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it ('should create the replicas with the KMS key of each region', async () => {
+    await plugin.createGlobalTableV2(dynamodb, 'test-table', ['us-east-1', 'eu-west-1'], serverless.cli, { 'us-east-1': 'key-arn' });
+    dynamodb.updateTable.firstCall.args[0].should.eql({
+      TableName: 'test-table',
+      ReplicaUpdates: [{ Create: { RegionName: 'us-east-1', KMSMasterKeyId: 'key-arn' }}]
+    });
+    dynamodb.updateTable.secondCall.args[0].should.eql({
+      TableName: 'test-table',
+      ReplicaUpdates: [{ Create: { RegionName: 'eu-west-1' }}]
+    });
+  });
+});